@@ -6,6 +6,7 @@ import { Input } from './ui/input';
 import { Textarea } from './ui/textarea';
 import { Label } from './ui/label';
 import { cn, formatDuration, formatTimestamp, generateBrandCard } from '../lib/utils';
+import { fetchScreenshot } from '../lib/api';
 
 const listFromMultiline = (value = '') =>
   value
@@ -69,6 +70,55 @@ const getConfidenceStatus = (value) => {
   return null;
 };
 
+// Screenshots need the API key header, so load them as blobs instead of plain <img src>
+function ScreenshotThumb({ screenshot, cited }) {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let revoked = false;
+    let url = null;
+
+    fetchScreenshot(screenshot.href)
+      .then((blob) => {
+        if (revoked) return;
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch(() => {
+        if (!revoked) setFailed(true);
+      });
+
+    return () => {
+      revoked = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [screenshot.href]);
+
+  return (
+    <figure className="space-y-2">
+      <div className="h-48 overflow-hidden rounded-md border bg-muted">
+        {objectUrl ? (
+          <a href={objectUrl} target="_blank" rel="noreferrer">
+            <img src={objectUrl} alt={`Screenshot of ${screenshot.url}`} className="w-full object-cover object-top" />
+          </a>
+        ) : (
+          <p className="p-4 text-xs text-muted-foreground">
+            {failed ? 'Screenshot unavailable.' : 'Loading screenshot...'}
+          </p>
+        )}
+      </div>
+      <figcaption className="text-xs break-all">
+        <span className={cn(cited ? 'font-medium' : 'text-muted-foreground')}>{screenshot.url}</span>
+        {cited && <span className="ml-2 text-primary">Cited as evidence</span>}
+        {screenshot.captured_at && (
+          <span className="block text-muted-foreground">Captured {formatTimestamp(screenshot.captured_at)}</span>
+        )}
+      </figcaption>
+    </figure>
+  );
+}
+
 export default function BrandSummary({ brandData, onApprove, onEdit }) {
   const brand = brandData?.brand || {};
   const meta = brandData?.meta || {};
@@ -97,6 +147,8 @@ export default function BrandSummary({ brandData, onApprove, onEdit }) {
   );
 
   const brandCardSections = brandData?.brand_card?.sections || [];
+  const screenshots = brandData?.screenshots || [];
+  const citedUrls = useMemo(() => new Set(listFromMultiline(formData.evidence_refs)), [formData.evidence_refs]);
 
   const handleChange = (field, value) => {
     setFormData((prev) => ({
@@ -447,6 +499,23 @@ export default function BrandSummary({ brandData, onApprove, onEdit }) {
           </CardContent>
         </Card>
 
+        {screenshots.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Page Screenshots</CardTitle>
+            </CardHeader>
+            <CardContent className="grid gap-6 md:grid-cols-3">
+              {screenshots.map((screenshot) => (
+                <ScreenshotThumb
+                  key={screenshot.href}
+                  screenshot={screenshot}
+                  cited={citedUrls.has(screenshot.url)}
+                />
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
         <Card>
           <CardHeader>
             <CardTitle>Additional Notes</CardTitle>
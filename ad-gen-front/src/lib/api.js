@@ -35,4 +35,9 @@ export const analyzeBrand = async (brandUrl) => {
   return response.data;
 };
 
+export const fetchScreenshot = async (href) => {
+  const response = await api.get(href, { responseType: 'blob' });
+  return response.data;
+};
+
 export default api;
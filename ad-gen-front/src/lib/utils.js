@@ -12,6 +12,27 @@ const defaultBrandSections = [
   { key: "key_features", title: "Key Features", type: "items" },
 ];
 
+function generateVisualIdentitySection(visualIdentity) {
+  const { colors = {}, fonts = {}, logo } = visualIdentity;
+  const items = [];
+
+  if (colors.primary) items.push(`Primary color: ${colors.primary}`);
+  if (colors.background) items.push(`Background: ${colors.background}`);
+  if (colors.text) items.push(`Text color: ${colors.text}`);
+  if (colors.palette?.length) items.push(`Palette: ${colors.palette.join(", ")}`);
+  if (fonts.headings?.length) items.push(`Heading font: ${fonts.headings[0]}`);
+  if (fonts.body?.length) items.push(`Body font: ${fonts.body[0]}`);
+  if (logo?.url) items.push(`Logo: ${logo.url}`);
+  else if (logo?.svg) items.push("Logo: inline SVG");
+
+  return {
+    title: "Visual Identity",
+    items,
+    colors: colors.palette || [],
+    logo: logo || null,
+  };
+}
+
 export function generateBrandCard(brand = {}) {
   const sections = defaultBrandSections.map((section) => {
     const value = brand[section.key];
@@ -29,6 +50,10 @@ export function generateBrandCard(brand = {}) {
     };
   });
 
+  if (brand.visual_identity) {
+    sections.push(generateVisualIdentitySection(brand.visual_identity));
+  }
+
   return {
     type: "brand",
     title: brand.name || "",
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { parseBoolean } = require('../utils/helpers');
+const { parseBoolean, parseList, parseMap } = require('../utils/helpers');
 
 /**
  * Validate required environment variables
@@ -34,12 +34,23 @@ const config = {
   
   // API Security
   apiKey: process.env.API_KEY,
+  security: {
+    // Lets scrapes reach private/loopback addresses; only for local testing
+    allowPrivateNetworks: parseBoolean(process.env.ALLOW_PRIVATE_NETWORKS, false)
+  },
   
   // OpenAI
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4o',
-    timeout: parseInt(process.env.OPENAI_TIMEOUT, 10) || 60000
+    baseURL: process.env.OPENAI_BASE_URL || undefined, // OpenAI-compatible server, e.g. a local model for offline replays
+    timeout: parseInt(process.env.OPENAI_TIMEOUT, 10) || 60000,
+    contentBudget: parseInt(process.env.OPENAI_CONTENT_BUDGET, 10) || null, // page-content tokens; default depends on the model
+    mapReduce: {
+      mode: process.env.BRAND_ANALYSIS_MODE || 'auto', // auto | single | map_reduce
+      groupBudget: parseInt(process.env.MAP_REDUCE_GROUP_BUDGET, 10) || 6000, // page tokens per notes call
+      concurrency: parseInt(process.env.MAP_REDUCE_CONCURRENCY, 10) || 3
+    }
   },
   
   // Database
@@ -59,15 +70,104 @@ const config = {
   // Cache
   cache: {
     scrapingTTL: parseInt(process.env.CACHE_TTL_SCRAPING, 10) || 86400, // 24 hours
+    pageTTL: parseInt(process.env.CACHE_TTL_PAGES, 10) || 86400,         // 24 hours
     responseTTL: parseInt(process.env.CACHE_TTL_RESPONSE, 10) || 3600   // 1 hour
   },
   
   // Scraping
   scraping: {
     concurrency: parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 5,
-    browserPoolSize: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+    browserPool: {
+      min: parseInt(process.env.BROWSER_POOL_MIN || '1', 10), // 0 launches browsers only on demand
+      // BROWSER_POOL_SIZE is the fixed size of older deployments
+      max: parseInt(process.env.BROWSER_POOL_MAX || process.env.BROWSER_POOL_SIZE || '3', 10),
+      idleTimeout: parseInt(process.env.BROWSER_IDLE_TIMEOUT, 10) || 300000, // ms
+      memoryPerBrowserMB: parseInt(process.env.BROWSER_MEMORY_ESTIMATE_MB, 10) || 350,
+      memoryCeiling: parseFloat(process.env.BROWSER_MEMORY_CEILING || '0.85'), // share of the cgroup limit
+      // Remote browsers, one pool slot each; replaces local browsers when set
+      endpoints: parseList(process.env.BROWSER_ENDPOINTS)
+    },
+    browserHealth: {
+      recycleContexts: parseInt(process.env.BROWSER_RECYCLE_CONTEXTS, 10) || 200,
+      recycleMinutes: parseInt(process.env.BROWSER_RECYCLE_MINUTES, 10) || 30,
+      probeInterval: parseInt(process.env.BROWSER_PROBE_INTERVAL, 10) || 60000 // ms
+    },
     scrapeTimeout: parseInt(process.env.SCRAPE_TIMEOUT, 10) || 30000,
-    pageLoadTimeout: parseInt(process.env.PAGE_LOAD_TIMEOUT, 10) || 15000
+    pageLoadTimeout: parseInt(process.env.PAGE_LOAD_TIMEOUT, 10) || 15000,
+    userAgent: process.env.SCRAPE_USER_AGENT ||
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    mobileDevice: process.env.SCRAPE_MOBILE_DEVICE || 'Pixel 7', // Playwright device descriptor
+    locales: {
+      timezones: parseMap(process.env.LOCALE_TIMEZONES), // locale=IANA zone, overrides the region default
+      proxies: parseMap(process.env.LOCALE_PROXIES) // locale=proxy URL for geo-targeted variants
+    },
+    waits: {
+      stableMs: parseInt(process.env.WAIT_STABLE_MS, 10) || 1000, // text length unchanged this long
+      maxScrolls: parseInt(process.env.WAIT_MAX_SCROLLS, 10) || 10
+    },
+    snapshot: {
+      mode: process.env.SCRAPE_MODE || 'live', // live | record | replay
+      dir: process.env.SNAPSHOT_DIR || './data/snapshots'
+    },
+    engine: {
+      mode: process.env.SCRAPE_ENGINE || 'auto', // auto | http | browser
+      minTextLength: parseInt(process.env.HTTP_MIN_TEXT_LENGTH, 10) || 500,
+      httpTimeout: parseInt(process.env.HTTP_FETCH_TIMEOUT, 10) || 10000
+    },
+    discovery: {
+      maxUrls: parseInt(process.env.DISCOVERY_MAX_URLS, 10) || 25,
+      maxSitemaps: parseInt(process.env.DISCOVERY_MAX_SITEMAPS, 10) || 10
+    },
+    crawl: {
+      enabled: parseBoolean(process.env.SCRAPE_CRAWL, false),
+      maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH, 10) || 2,
+      maxPages: parseInt(process.env.CRAWL_MAX_PAGES, 10) || 25,
+      include: parseList(process.env.CRAWL_INCLUDE),
+      exclude: parseList(process.env.CRAWL_EXCLUDE)
+    },
+    boilerplate: {
+      minPages: parseInt(process.env.BOILERPLATE_MIN_PAGES, 10) || 3,
+      minShare: parseFloat(process.env.BOILERPLATE_MIN_SHARE || '0.5') // share of the site's pages
+    },
+    dedup: {
+      threshold: parseFloat(process.env.DEDUP_THRESHOLD || '0.8'), // estimated shingle Jaccard similarity
+      shingleSize: parseInt(process.env.DEDUP_SHINGLE_SIZE, 10) || 5
+    },
+    interception: {
+      enabled: parseBoolean(process.env.INTERCEPT_REQUESTS, true),
+      blockResourceTypes: parseList(process.env.INTERCEPT_BLOCK_TYPES, ['image', 'media', 'font']),
+      blockHosts: parseList(process.env.INTERCEPT_BLOCK_HOSTS),
+      allowHosts: parseList(process.env.INTERCEPT_ALLOW_HOSTS),
+      // Share of contexts left unintercepted to measure the load time difference
+      controlRate: parseFloat(process.env.INTERCEPT_CONTROL_RATE || '0.05')
+    },
+    screenshots: {
+      enabled: parseBoolean(process.env.SCRAPE_SCREENSHOTS, true),
+      quality: parseInt(process.env.SCREENSHOT_QUALITY, 10) || 70
+    },
+    politeness: {
+      respectRobots: parseBoolean(process.env.ROBOTS_RESPECT, true),
+      maxPerHost: parseInt(process.env.SCRAPE_MAX_PER_HOST, 10) || 2,
+      maxCrawlDelay: parseInt(process.env.CRAWL_DELAY_MAX, 10) || 10 // seconds
+    },
+    robots: {
+      userAgent: process.env.ROBOTS_USER_AGENT || 'BrandIntelligenceBot',
+      cacheTTL: parseInt(process.env.ROBOTS_CACHE_TTL, 10) || 3600 // 1 hour
+    }
+  },
+  
+  // Run artifacts (screenshots)
+  artifacts: {
+    driver: process.env.ARTIFACT_STORAGE || 'local', // local | s3
+    localDir: process.env.ARTIFACT_DIR || './data/artifacts',
+    s3: {
+      bucket: process.env.ARTIFACT_S3_BUCKET || 'brand-intel-artifacts',
+      region: process.env.ARTIFACT_S3_REGION || 'us-east-1',
+      endpoint: process.env.ARTIFACT_S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+      accessKeyId: process.env.ARTIFACT_S3_ACCESS_KEY_ID || undefined,
+      secretAccessKey: process.env.ARTIFACT_S3_SECRET_ACCESS_KEY || undefined,
+      forcePathStyle: parseBoolean(process.env.ARTIFACT_S3_FORCE_PATH_STYLE, true)
+    }
   },
   
   // Rate Limiting
@@ -104,4 +204,32 @@ const config = {
   }
 };
 
+/**
+ * Validate settings whose values can't be used as given
+ * @throws {Error} - If any setting is invalid
+ */
+function validateSettings() {
+  const invalid = [];
+  const { threshold } = config.scraping.dedup;
+  const { min, max } = config.scraping.browserPool;
+
+  if (!(threshold > 0 && threshold <= 1)) {
+    invalid.push('DEDUP_THRESHOLD must be above 0 and at most 1');
+  }
+  if (!Number.isInteger(min) || min < 0) {
+    invalid.push('BROWSER_POOL_MIN must be a whole number of at least 0');
+  }
+  if (!Number.isInteger(max) || max < 1) {
+    invalid.push('BROWSER_POOL_MAX must be a whole number of at least 1');
+  } else if (min > max) {
+    invalid.push('BROWSER_POOL_MIN must not be above BROWSER_POOL_MAX');
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid environment variables: ${invalid.join('; ')}`);
+  }
+}
+
+validateSettings();
+
 module.exports = config;
@@ -10,13 +10,20 @@ async function migrate() {
   try {
     logger.info('🚀 Running database migrations...');
     
-    const migrationFile = path.join(__dirname, 'migrations', '001_initial_schema.sql');
-    const sql = await fs.readFile(migrationFile, 'utf8');
-    
-    await db.query(sql);
+    // Migrations are idempotent, so all of them run in order every time
+    const migrationsDir = path.join(__dirname, 'migrations');
+    const files = (await fs.readdir(migrationsDir))
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      await db.query(sql);
+      logger.info(`📄 Applied ${file}`);
+    }
     
     logger.info('✅ Migration completed successfully');
-    logger.info('📊 Tables created: runs, scraping_cache, api_metrics');
+    logger.info('📊 Tables created: runs, scraping_cache, page_cache, api_metrics');
     
     process.exit(0);
   } catch (error) {
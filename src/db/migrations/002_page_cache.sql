@@ -0,0 +1,78 @@
+-- Brand Intelligence API v3.0 - Page-level scrape cache
+-- PostgreSQL 14+
+
+-- ============================================================================
+-- PAGE CACHE TABLE
+-- ============================================================================
+
+-- One row per normalized page URL, shared by every run that scrapes the page.
+-- scraping_cache keeps a per-site manifest (page URLs + discovery metadata).
+CREATE TABLE IF NOT EXISTS page_cache (
+    url_hash VARCHAR(64) PRIMARY KEY,
+    url TEXT NOT NULL,
+    content JSONB NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (CURRENT_TIMESTAMP + INTERVAL '24 hours'),
+    access_count INTEGER DEFAULT 1,
+    last_accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_cache_expires ON page_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_page_cache_url ON page_cache(url);
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Cleanup function for expired data (deleted_cache now includes page_cache rows)
+CREATE OR REPLACE FUNCTION cleanup_expired_data()
+RETURNS TABLE(deleted_runs INTEGER, deleted_cache INTEGER, deleted_metrics INTEGER) AS $$
+DECLARE
+    deleted_runs_count INTEGER;
+    deleted_cache_count INTEGER;
+    deleted_pages_count INTEGER;
+    deleted_metrics_count INTEGER;
+BEGIN
+    -- Delete expired runs
+    DELETE FROM runs WHERE expires_at < CURRENT_TIMESTAMP AND status != 'archived';
+    GET DIAGNOSTICS deleted_runs_count = ROW_COUNT;
+
+    -- Delete expired cache entries
+    DELETE FROM scraping_cache WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_cache_count = ROW_COUNT;
+
+    DELETE FROM page_cache WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_pages_count = ROW_COUNT;
+
+    -- Delete old metrics (keep 30 days)
+    DELETE FROM api_metrics WHERE timestamp < CURRENT_TIMESTAMP - INTERVAL '30 days';
+    GET DIAGNOSTICS deleted_metrics_count = ROW_COUNT;
+
+    RETURN QUERY SELECT deleted_runs_count, deleted_cache_count + deleted_pages_count, deleted_metrics_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- VIEWS
+-- ============================================================================
+
+-- View for page cache statistics
+CREATE OR REPLACE VIEW page_cache_statistics AS
+SELECT
+    COUNT(*) as total_pages,
+    COUNT(CASE WHEN expires_at > CURRENT_TIMESTAMP THEN 1 END) as valid_pages,
+    COUNT(CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN 1 END) as expired_pages,
+    SUM(access_count) as total_accesses,
+    MAX(fetched_at) as last_fetch,
+    pg_size_pretty(pg_total_relation_size('page_cache')) as table_size
+FROM page_cache;
+
+-- ============================================================================
+-- PERMISSIONS
+-- ============================================================================
+
+GRANT ALL PRIVILEGES ON page_cache TO brand_user;
+GRANT SELECT ON page_cache_statistics TO brand_user;
+
+ANALYZE page_cache;
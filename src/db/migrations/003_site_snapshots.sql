@@ -0,0 +1,59 @@
+-- Brand Intelligence API v3.0 - Site snapshots for change detection
+-- PostgreSQL 14+
+
+-- ============================================================================
+-- SITE SNAPSHOTS TABLE
+-- ============================================================================
+
+-- Page URLs and content hashes from the last scrape of each domain.
+-- Compared against the next scrape to report unchanged/modified/added/removed pages.
+CREATE TABLE IF NOT EXISTS site_snapshots (
+    domain VARCHAR(255) PRIMARY KEY,
+    pages JSONB NOT NULL,
+    page_count INTEGER,
+    scraped_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_snapshots_scraped ON site_snapshots(scraped_at DESC);
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Cleanup function for expired data
+-- Expired page_cache rows are kept for 7 more days: their ETag/Last-Modified
+-- validators let the next scrape revalidate a page instead of re-rendering it.
+CREATE OR REPLACE FUNCTION cleanup_expired_data()
+RETURNS TABLE(deleted_runs INTEGER, deleted_cache INTEGER, deleted_metrics INTEGER) AS $$
+DECLARE
+    deleted_runs_count INTEGER;
+    deleted_cache_count INTEGER;
+    deleted_pages_count INTEGER;
+    deleted_metrics_count INTEGER;
+BEGIN
+    -- Delete expired runs
+    DELETE FROM runs WHERE expires_at < CURRENT_TIMESTAMP AND status != 'archived';
+    GET DIAGNOSTICS deleted_runs_count = ROW_COUNT;
+
+    -- Delete expired cache entries
+    DELETE FROM scraping_cache WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_cache_count = ROW_COUNT;
+
+    DELETE FROM page_cache WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days';
+    GET DIAGNOSTICS deleted_pages_count = ROW_COUNT;
+
+    -- Delete old metrics (keep 30 days)
+    DELETE FROM api_metrics WHERE timestamp < CURRENT_TIMESTAMP - INTERVAL '30 days';
+    GET DIAGNOSTICS deleted_metrics_count = ROW_COUNT;
+
+    RETURN QUERY SELECT deleted_runs_count, deleted_cache_count + deleted_pages_count, deleted_metrics_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- PERMISSIONS
+-- ============================================================================
+
+GRANT ALL PRIVILEGES ON site_snapshots TO brand_user;
+
+ANALYZE site_snapshots;
@@ -0,0 +1,29 @@
+-- Brand Intelligence API v3.0 - Site snapshots per discovery mode
+-- PostgreSQL 14+
+
+-- ============================================================================
+-- SITE SNAPSHOTS: ONE PER DOMAIN AND DISCOVERY MODE
+-- ============================================================================
+
+-- A crawl and a sitemap discovery of the same site find different page sets,
+-- so each is only compared with the last scrape that found pages the same way.
+-- discovery_key is "discovery", or "crawl:" plus a hash of the crawl settings.
+-- Snapshots saved before this column existed don't say how their pages were found.
+ALTER TABLE site_snapshots ADD COLUMN IF NOT EXISTS discovery_key VARCHAR(80) NOT NULL DEFAULT 'unknown';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.key_column_usage
+        WHERE table_name = 'site_snapshots'
+          AND constraint_name = 'site_snapshots_pkey'
+          AND column_name = 'discovery_key'
+    ) THEN
+        ALTER TABLE site_snapshots DROP CONSTRAINT IF EXISTS site_snapshots_pkey;
+        ALTER TABLE site_snapshots ADD PRIMARY KEY (domain, discovery_key);
+    END IF;
+END
+$$;
+
+ANALYZE site_snapshots;
@@ -68,6 +68,114 @@ async function setCachedScraping(url, data, ttl = 86400) {
   ]);
 }
 
+/**
+ * Get cached pages
+ * @param {Array} urls - Normalized page URLs
+ * @returns {Promise<Array>} - Cached page objects that have not expired
+ */
+async function getCachedPages(urls) {
+  if (urls.length === 0) return [];
+
+  const urlHashes = urls.map(generateUrlHash);
+
+  const query = `
+    UPDATE page_cache
+    SET access_count = access_count + 1,
+        last_accessed_at = NOW()
+    WHERE url_hash = ANY($1) AND expires_at > NOW()
+    RETURNING content
+  `;
+
+  const result = await db.query(query, [urlHashes]);
+  return result.rows.map(row => row.content);
+}
+
+/**
+ * Get expired pages that are still kept for revalidation
+ * @param {Array} urls - Normalized page URLs
+ * @returns {Promise<Array>} - Expired page objects
+ */
+async function getStalePages(urls) {
+  if (urls.length === 0) return [];
+
+  const query = `
+    SELECT content
+    FROM page_cache
+    WHERE url_hash = ANY($1) AND expires_at <= NOW()
+  `;
+
+  const result = await db.query(query, [urls.map(generateUrlHash)]);
+  return result.rows.map(row => row.content);
+}
+
+/**
+ * Save a scraped page to the page cache
+ * @param {string} url - Normalized page URL
+ * @param {Object} page - Page data
+ * @param {string} contentHash - Hash of the page text
+ * @param {number} ttl - TTL in seconds (default 24 hours)
+ * @returns {Promise<void>}
+ */
+async function setCachedPage(url, page, contentHash, ttl = 86400) {
+  const query = `
+    INSERT INTO page_cache
+      (url_hash, url, content, content_hash, fetched_at, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '${ttl} seconds')
+    ON CONFLICT (url_hash)
+    DO UPDATE SET
+      content = EXCLUDED.content,
+      content_hash = EXCLUDED.content_hash,
+      fetched_at = EXCLUDED.fetched_at,
+      expires_at = EXCLUDED.expires_at
+  `;
+
+  await db.query(query, [
+    generateUrlHash(url),
+    url,
+    JSON.stringify(page),
+    contentHash,
+    page.scrapedAt
+  ]);
+}
+
+/**
+ * Get the page snapshot from the last scrape of a domain that found its pages the same way
+ * @param {string} domain - Domain
+ * @param {string} discoveryKey - How pages were found (see ScraperService.discoveryKey)
+ * @returns {Promise<Object|null>} - { pages, scraped_at } or null
+ */
+async function getSiteSnapshot(domain, discoveryKey) {
+  const query = `
+    SELECT pages, scraped_at
+    FROM site_snapshots
+    WHERE domain = $1 AND discovery_key = $2
+  `;
+
+  const result = await db.query(query, [domain, discoveryKey]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the page snapshot of a domain for one discovery mode
+ * @param {string} domain - Domain
+ * @param {string} discoveryKey - How pages were found (see ScraperService.discoveryKey)
+ * @param {Array} pages - { url, contentHash } entries
+ * @returns {Promise<void>}
+ */
+async function saveSiteSnapshot(domain, discoveryKey, pages) {
+  const query = `
+    INSERT INTO site_snapshots (domain, discovery_key, pages, page_count, scraped_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (domain, discovery_key)
+    DO UPDATE SET
+      pages = EXCLUDED.pages,
+      page_count = EXCLUDED.page_count,
+      scraped_at = EXCLUDED.scraped_at
+  `;
+
+  await db.query(query, [domain, discoveryKey, JSON.stringify(pages), pages.length]);
+}
+
 /**
  * Invalidate cache for URL
  * @param {string} url - URL to invalidate
@@ -94,8 +202,15 @@ async function getStats() {
     SELECT * FROM cache_statistics
   `;
   
-  const result = await db.query(query);
-  return result.rows[0] || {};
+  const pageQuery = `
+    SELECT * FROM page_cache_statistics
+  `;
+
+  const [result, pageResult] = await Promise.all([db.query(query), db.query(pageQuery)]);
+  return {
+    ...(result.rows[0] || {}),
+    pages: pageResult.rows[0] || {}
+  };
 }
 
 /**
@@ -107,14 +222,24 @@ async function cleanExpired() {
     DELETE FROM scraping_cache
     WHERE expires_at < NOW()
   `;
+  // Expired pages stay for a week so their validators can still be used
+  const pageQuery = `
+    DELETE FROM page_cache
+    WHERE expires_at < NOW() - INTERVAL '7 days'
+  `;
   
-  const result = await db.query(query);
-  return result.rowCount;
+  const [result, pageResult] = await Promise.all([db.query(query), db.query(pageQuery)]);
+  return result.rowCount + pageResult.rowCount;
 }
 
 module.exports = {
   getCachedScraping,
   setCachedScraping,
+  getCachedPages,
+  getStalePages,
+  setCachedPage,
+  getSiteSnapshot,
+  saveSiteSnapshot,
   invalidateCache,
   getStats,
   cleanExpired
@@ -1,5 +1,5 @@
 const { logger } = require('../utils/logger');
-const { AppError } = require('../utils/errors');
+const { AppError, RequestAbortedError } = require('../utils/errors');
 
 /**
  * Global error handler middleware
@@ -7,6 +7,12 @@ const { AppError } = require('../utils/errors');
 function errorHandler(error, request, reply) {
   const correlationId = request.id;
 
+  // The client is gone or already has its 504; there is nobody to answer
+  if (error instanceof RequestAbortedError) {
+    logger.info({ correlationId, url: request.url, reason: error.message }, 'Request aborted');
+    return reply.status(error.statusCode).send({ error: error.code, message: error.message, correlationId });
+  }
+
   // Log error
   logger.error({
     correlationId,
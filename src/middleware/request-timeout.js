@@ -1,21 +1,33 @@
 const config = require('../config/environment');
+const { RequestAbortedError } = require('../utils/errors');
 
 /**
  * Request timeout middleware
+ * Gives every request an AbortSignal (request.signal) that fires when the
+ * timeout answers for the route or the client goes away before the response,
+ * so scrapes and browser waits started for it can stop.
  */
 function requestTimeoutMiddleware(request, reply, done) {
+  const controller = new AbortController();
+  request.signal = controller.signal;
+
   const timeout = setTimeout(() => {
     reply.code(504).send({
       error: 'REQUEST_TIMEOUT',
       message: 'Request timeout exceeded'
     });
+    controller.abort(new RequestAbortedError('Request timeout exceeded'));
   }, config.request.timeout);
 
-  reply.addHook('onSend', () => {
+  // Also the only place the timer is cleared: replies have no hooks of their own
+  reply.raw.on('close', () => {
     clearTimeout(timeout);
+    if (!reply.raw.writableFinished) {
+      controller.abort(new RequestAbortedError('Client closed the connection'));
+    }
   });
 
   done();
 }
 
-module.exports = requestTimeoutMiddleware;
\ No newline at end of file
+module.exports = requestTimeoutMiddleware;
@@ -12,7 +12,9 @@ async function healthRoutes(fastify) {
     const checks = {
       openai: { status: config.openai.apiKey ? 'ok' : 'error' },
       browser: {
-        status: browserPool.initialized ? 'ok' : 'error',
+        // Crashed browsers relaunch on their own; the pool is down only when none is ready
+        status: browserPool.initialized &&
+          (browserPool.browsers.length === 0 || browserPool.browsers.some(b => b.state === 'ready')) ? 'ok' : 'error',
         pool: browserPool.getStats()
       },
       database: await db.healthCheck(),
@@ -0,0 +1,40 @@
+const storageService = require('../services/storage.service');
+const artifactService = require('../services/artifact.service');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Run artifact routes
+ */
+async function runsRoutes(fastify) {
+  /**
+   * GET /v1/runs/:run_id/screenshots/:n
+   * Screenshot of the n-th scraped page (0-based, as listed in the run's screenshots)
+   */
+  fastify.get('/v1/runs/:run_id/screenshots/:n', async (request, reply) => {
+    const { run_id, n } = request.params;
+    const index = parseInt(n, 10);
+
+    const run = await storageService.getRun(run_id);
+    const screenshots = run.metadata?.screenshots || [];
+
+    if (!Number.isInteger(index) || index < 0 || index >= screenshots.length) {
+      throw new NotFoundError(`Screenshot not found: ${n}`, { available: screenshots.length });
+    }
+
+    const screenshot = screenshots[index];
+    const artifact = await artifactService.get(screenshot.key);
+
+    if (!artifact) {
+      throw new NotFoundError('Screenshot artifact missing from storage', { url: screenshot.url });
+    }
+
+    return reply
+      .header('Content-Type', artifact.contentType || 'image/jpeg')
+      .header('Cache-Control', 'private, max-age=86400')
+      .header('X-Page-Url', screenshot.url)
+      .header('X-Captured-At', screenshot.captured_at)
+      .send(artifact.body);
+  });
+}
+
+module.exports = runsRoutes;
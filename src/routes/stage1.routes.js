@@ -5,9 +5,42 @@ const storageService = require('../services/storage.service');
 const cardService = require('../services/card.service');
 const { validate, validateBrandSummary, validateCompetitors, validateCompetitorsAnalyze, validateKernel } = require('../utils/validation');
 const { extractDomain } = require('../utils/helpers');
+const { assertPublicUrl } = require('../utils/network-guard');
 const { logger } = require('../utils/logger');
 const { LowConfidenceError, InsufficientDataError, UpstreamArtifactMissingError } = require('../utils/errors');
 
+/**
+ * Collect screenshot references from scraped pages
+ * @param {Array} pages - Scraped pages
+ * @param {string} source - Domain the pages belong to
+ * @returns {Array} - Screenshot entries for run metadata
+ */
+function collectScreenshots(pages, source) {
+  return pages
+    .filter(p => p.screenshot)
+    .map(p => ({
+      url: p.url,
+      source,
+      key: p.screenshot.key,
+      captured_at: p.screenshot.capturedAt
+    }));
+}
+
+/**
+ * Public view of run screenshots with download links
+ * @param {string} runId - Run ID
+ * @param {Array} screenshots - Screenshot entries
+ * @returns {Array}
+ */
+function screenshotLinks(runId, screenshots) {
+  return screenshots.map((s, n) => ({
+    url: s.url,
+    source: s.source,
+    captured_at: s.captured_at,
+    href: `/v1/runs/${runId}/screenshots/${n}`
+  }));
+}
+
 /**
  * Stage 1 API routes
  */
@@ -20,23 +53,40 @@ async function stage1Routes(fastify) {
     const start = Date.now();
     validate(request.body, validateBrandSummary, 'Brand Summary Request');
 
-    const { brand_url } = request.body;
+    const { brand_url, crawl, devices, locales } = request.body;
     const domain = extractDomain(brand_url);
 
     logger.info({ correlationId: request.id, brandUrl: brand_url }, 'Brand summary requested');
 
+    // Reject internal targets before a run is created
+    await assertPublicUrl(brand_url);
+
     // Create run
     const run = await storageService.createRun();
 
     // Scrape website
-    const scrapedData = await scraperService.scrapeWebsite(brand_url);
+    const scrapedData = await scraperService.scrapeWebsite(brand_url, {
+      crawl: crawl && {
+        enabled: crawl.enabled,
+        maxDepth: crawl.max_depth,
+        maxPages: crawl.max_pages,
+        include: crawl.include,
+        exclude: crawl.exclude
+      },
+      devices,
+      locales,
+      // Stops the scrape when the client disconnects or the request times out
+      signal: request.signal
+    });
 
     if (scrapedData.pages.length < 3) {
-      throw new InsufficientDataError('Insufficient pages scraped (minimum 3 required)');
+      throw new InsufficientDataError('Insufficient pages scraped (minimum 3 required)', {
+        pageStatuses: scrapedData.metadata.pageStatuses
+      });
     }
 
     // Analyze brand with OpenAI
-    const brandAnalysis = await openaiService.analyzeBrand(scrapedData);
+    const { analysis: brandAnalysis, packing, notes } = await openaiService.analyzeBrand(scrapedData);
 
     // Validate evidence
     const evidenceCheck = await evidenceService.checkEvidenceRefs(
@@ -57,14 +107,37 @@ async function stage1Routes(fastify) {
       });
     }
 
+    // Regional taglines and value props, from the pages rendered in each requested locale
+    const localeMessaging = scrapedData.localePages
+      ? await openaiService.analyzeLocales(scrapedData, brandAnalysis)
+      : null;
+
     const brandData = {
       ...brandAnalysis,
       confidence_0_1: adjustedConfidence,
+      visual_identity: scrapedData.visualIdentity || null,
+      pricing_plans: scrapedData.pricing?.plans || [],
+      ...(localeMessaging && { locales: localeMessaging }),
       evidence_validation: evidenceCheck
     };
 
     // Save to database
     await storageService.saveBrand(run.run_id, brandData);
+    await storageService.updateMetadata(run.run_id, {
+      content_packing: { brand: packing },
+      site_boilerplate: { brand: scrapedData.siteBoilerplate },
+      ...(notes && { brand_notes: notes }),
+      ...(scrapedData.metadata.deviceDiffs && { device_diffs: scrapedData.metadata.deviceDiffs })
+    });
+
+    // HTTP engine pages have no screenshot until they are cited as evidence
+    const evidencePages = await scraperService.captureEvidenceScreenshots(
+      scrapedData.pages,
+      brandAnalysis.evidence_refs || [],
+      { signal: request.signal }
+    );
+    const screenshots = collectScreenshots(evidencePages, domain);
+    await storageService.saveScreenshots(run.run_id, screenshots);
 
     // Generate card
     const brandCard = cardService.generateBrandCard(brandData);
@@ -82,12 +155,20 @@ async function stage1Routes(fastify) {
       run_id: run.run_id,
       brand: brandData,
       brand_card: brandCard,
+      screenshots: screenshotLinks(run.run_id, screenshots),
       files: {
         brand_json: `/v1/runs/${run.run_id}/brand.json`
       },
       meta: {
         duration_ms: duration,
         pages_scraped: scrapedData.pages.length,
+        page_statuses: scrapedData.metadata.pageStatuses,
+        devices: scrapedData.metadata.devices,
+        ...(scrapedData.metadata.locales && { locales: scrapedData.metadata.locales }),
+        ...(scrapedData.metadata.deviceDiffs && {
+          mobile_differences: scrapedData.metadata.deviceDiffs.filter(diff => diff.changed).length,
+          mobile_failures: scrapedData.metadata.deviceDiffs.filter(diff => diff.error).length
+        }),
         timestamp: new Date().toISOString()
       }
     });
@@ -164,6 +245,8 @@ async function stage1Routes(fastify) {
 
     logger.info({ correlationId: request.id, runId: run_id, domains }, 'Competitor analysis requested');
 
+    await Promise.all(domains.map(domain => assertPublicUrl(`https://${domain}`)));
+
     // Get run
     const run = await storageService.getRun(run_id);
 
@@ -172,13 +255,29 @@ async function stage1Routes(fastify) {
     }
 
     // Analyze competitors in parallel
+    const competitorScreenshots = [];
+    const competitorPacking = {};
+    const competitorBoilerplate = {};
     const analyses = await Promise.all(
       domains.map(async domain => {
         // Scrape competitor website
-        const scrapedData = await scraperService.scrapeWebsite(`https://${domain}`);
+        // Batch work: brand summaries and evidence scrapes get browsers first
+        const scrapedData = await scraperService.scrapeWebsite(`https://${domain}`, {
+          priority: 'low',
+          signal: request.signal
+        });
 
         // Analyze with OpenAI
-        const analysis = await openaiService.analyzeCompetitor(domain, scrapedData);
+        const { analysis, packing } = await openaiService.analyzeCompetitor(domain, scrapedData);
+        competitorPacking[domain] = packing;
+        competitorBoilerplate[domain] = scrapedData.siteBoilerplate;
+
+        const evidencePages = await scraperService.captureEvidenceScreenshots(
+          scrapedData.pages,
+          analysis.evidence_refs || [],
+          { priority: 'low', signal: request.signal }
+        );
+        competitorScreenshots.push(...collectScreenshots(evidencePages, domain));
 
         // Validate evidence
         const evidenceCheck = await evidenceService.checkEvidenceRefs(
@@ -194,6 +293,7 @@ async function stage1Routes(fastify) {
         return {
           ...analysis,
           confidence_0_1: adjustedConfidence,
+          pricing_plans: scrapedData.pricing?.plans || [],
           evidence_validation: evidenceCheck
         };
       })
@@ -202,6 +302,23 @@ async function stage1Routes(fastify) {
     // Save to database
     await storageService.saveAnalyzedCompetitors(run_id, analyses);
 
+    // Replace screenshots of re-analyzed domains, keeping earlier entries first
+    const previousScreenshots = (run.metadata?.screenshots || []).filter(s => !domains.includes(s.source));
+    await storageService.saveScreenshots(run_id, [...previousScreenshots, ...competitorScreenshots]);
+
+    const previousPacking = run.metadata?.content_packing || {};
+    const previousBoilerplate = run.metadata?.site_boilerplate || {};
+    await storageService.updateMetadata(run_id, {
+      content_packing: {
+        ...previousPacking,
+        competitors: { ...previousPacking.competitors, ...competitorPacking }
+      },
+      site_boilerplate: {
+        ...previousBoilerplate,
+        competitors: { ...previousBoilerplate.competitors, ...competitorBoilerplate }
+      }
+    });
+
     // Generate cards
     const competitorCards = analyses.map((c, i) =>
       cardService.generateCompetitorCard(c, i + 1)
@@ -22,6 +22,7 @@ const requestTimeoutMiddleware = require('./middleware/request-timeout');
 const healthRoutes = require('./routes/health.routes');
 const metricsRoutes = require('./routes/metrics.routes');
 const stage1Routes = require('./routes/stage1.routes');
+const runsRoutes = require('./routes/runs.routes');
 
 /**
  * Create and configure Fastify server
@@ -52,6 +53,7 @@ async function createServer() {
   });
 
   // Register middleware
+  fastify.decorateRequest('signal', null);
   fastify.addHook('onRequest', loggerMiddleware);
   fastify.addHook('onRequest', requestTimeoutMiddleware);
 
@@ -63,6 +65,7 @@ async function createServer() {
   await fastify.register(async function protectedRoutes(fastify) {
     fastify.addHook('onRequest', authMiddleware);
     await fastify.register(stage1Routes);
+    await fastify.register(runsRoutes);
   });
 
   // Error handler (must be last)
@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+
+/**
+ * Run artifact storage (screenshots etc.) on local disk or an S3-compatible bucket
+ */
+class ArtifactService {
+  constructor() {
+    this.s3 = null;
+  }
+
+  /**
+   * Get the S3 client (created on first use)
+   * @returns {S3Client}
+   */
+  getS3Client() {
+    if (!this.s3) {
+      const { region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = config.artifacts.s3;
+      this.s3 = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+      });
+    }
+    return this.s3;
+  }
+
+  /**
+   * Resolve a key to a path inside the local artifact directory
+   * @param {string} key - Artifact key
+   * @returns {string} - Absolute file path
+   */
+  localPath(key) {
+    const root = path.resolve(config.artifacts.localDir);
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store an artifact
+   * @param {string} key - Artifact key like screenshots/brand.com/abc.jpg
+   * @param {Buffer} body - Artifact content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, body, contentType) {
+    if (config.artifacts.driver === 's3') {
+      await this.getS3Client().send(new PutObjectCommand({
+        Bucket: config.artifacts.s3.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    } else {
+      const filePath = this.localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    }
+
+    logger.debug({ key, bytes: body.length }, 'Artifact stored');
+  }
+
+  /**
+   * Read an artifact
+   * @param {string} key - Artifact key
+   * @returns {Promise<Object|null>} - { body, contentType } or null if missing
+   */
+  async get(key) {
+    try {
+      if (config.artifacts.driver === 's3') {
+        const response = await this.getS3Client().send(new GetObjectCommand({
+          Bucket: config.artifacts.s3.bucket,
+          Key: key
+        }));
+        return {
+          body: Buffer.from(await response.Body.transformToByteArray()),
+          contentType: response.ContentType
+        };
+      }
+
+      return {
+        body: await fs.readFile(this.localPath(key)),
+        contentType: this.contentTypeFor(key)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Guess MIME type from key extension
+   * @param {string} key - Artifact key
+   * @returns {string}
+   */
+  contentTypeFor(key) {
+    const types = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.json': 'application/json'
+    };
+    return types[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+}
+
+module.exports = new ArtifactService();
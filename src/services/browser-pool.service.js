@@ -1,17 +1,83 @@
-const { chromium } = require('playwright');
+const { chromium, devices } = require('playwright');
 const config = require('../config/environment');
 const { logger } = require('../utils/logger');
-const { updateBrowserPool } = require('../utils/metrics');
+const {
+  updateBrowserPool,
+  updateBrowserQueue,
+  recordBrowserWait,
+  recordBrowserRestart,
+  recordPoolScaling,
+  recordBlockedRequest
+} = require('../utils/metrics');
+const { readMemoryUsage } = require('../utils/memory');
+const { blockReason, estimateBlockedBytes } = require('../utils/request-blocking');
+const { assertPublicUrl, isPublicUrl, safeFetch } = require('../utils/network-guard');
+const { UnsafeUrlError } = require('../utils/errors');
+const { localeContextOptions } = require('../utils/locales');
+
+/**
+ * Waiter lanes, served in this order; FIFO within a lane
+ */
+const PRIORITIES = ['high', 'normal', 'low'];
+
+const PROBE_TIMEOUT = 5000;
+
+// Headers that describe the original transfer, not the body handed to the browser
+const TRANSFER_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+const CONNECT_TIMEOUT = 30000;
+
+/**
+ * Parse a remote browser endpoint
+ * ws:// and wss:// are Playwright browser servers; http(s):// and cdp+ws(s)://
+ * are Chrome DevTools Protocol endpoints.
+ * @param {string} endpoint - Endpoint from BROWSER_ENDPOINTS
+ * @returns {Object} - { protocol, url } with protocol playwright or cdp
+ */
+function parseEndpoint(endpoint) {
+  if (endpoint.startsWith('cdp+')) {
+    return { protocol: 'cdp', url: endpoint.slice(4) };
+  }
+  if (/^https?:\/\//.test(endpoint)) {
+    return { protocol: 'cdp', url: endpoint };
+  }
+  return { protocol: 'playwright', url: endpoint };
+}
+
+/**
+ * Strip credentials and query tokens from an endpoint for logs and stats
+ * @param {string} endpoint - Endpoint URL
+ * @returns {string}
+ */
+function redactEndpoint(endpoint) {
+  try {
+    const parsed = new URL(endpoint);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  } catch (error) {
+    return 'invalid endpoint';
+  }
+}
 
 /**
  * Browser pool for managing reusable Playwright browsers
+ * Starts with minSize browsers, launches more while callers are queued (up to
+ * maxSize and the memory ceiling) and closes idle ones down to minSize.
+ * With remote endpoints configured, the pool instead holds one fixed slot per
+ * endpoint and launches no local browsers.
  */
 class BrowserPool {
-  constructor(poolSize = 3) {
-    this.poolSize = poolSize;
+  constructor({ min = 1, max = 3, endpoints = [] } = {}) {
+    this.endpoints = endpoints;
+    this.minSize = endpoints.length || Math.min(min, max);
+    this.maxSize = endpoints.length || max;
+    this.nextId = 0;
+    this.launching = 0;
     this.browsers = [];
     this.availableBrowsers = [];
+    this.waiters = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
     this.initialized = false;
+    this.interceptionModes = new WeakMap();
+    this.probeTimer = null;
+    this.probing = false;
   }
 
   /**
@@ -24,33 +90,39 @@ class BrowserPool {
       return;
     }
 
-    logger.info(`Initializing browser pool with ${this.poolSize} browsers`);
+    if (this.endpoints.length > 0) {
+      logger.info({ endpoints: this.endpoints.map(redactEndpoint) }, 'Initializing browser pool with remote browsers');
+    } else {
+      logger.info(`Initializing browser pool with ${this.minSize} browsers (up to ${this.maxSize})`);
+    }
 
     try {
-      for (let i = 0; i < this.poolSize; i++) {
-        const browser = await chromium.launch({
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu'
-          ]
-        });
-
-        this.browsers.push({
-          id: i,
-          browser,
-          inUse: false
-        });
-
-        this.availableBrowsers.push(i);
-
-        logger.debug(`Browser ${i} launched`);
+      for (let i = 0; i < this.minSize; i++) {
+        const browserObj = this.createSlot(this.endpoints[i] || null);
+        this.browsers.push(browserObj);
+
+        try {
+          await this.launchBrowser(browserObj);
+        } catch (error) {
+          if (!browserObj.endpoint) throw error;
+
+          // An unreachable scraping tier shouldn't stop the API; the probe reconnects
+          browserObj.state = 'failed';
+          this.recordFailure(browserObj, error);
+          logger.error({ err: error, endpoint: redactEndpoint(browserObj.endpoint) }, 'Failed to connect to remote browser');
+          continue;
+        }
+
+        browserObj.idleSince = Date.now();
+        this.availableBrowsers.push(browserObj);
       }
 
       this.initialized = true;
       this.updateMetrics();
+
+      this.probeTimer = setInterval(() => this.probe(), config.scraping.browserHealth.probeInterval);
+      this.probeTimer.unref();
+
       logger.info('Browser pool initialized successfully');
     } catch (error) {
       logger.error({ err: error }, 'Failed to initialize browser pool');
@@ -59,36 +131,426 @@ class BrowserPool {
   }
 
   /**
-   * Get an available browser
-   * @param {number} timeout - Timeout in milliseconds
+   * Create an empty pool slot
+   * @param {string|null} endpoint - Remote browser endpoint, or null for a local browser
+   * @returns {Object} - Slot with no browser yet
+   */
+  createSlot(endpoint = null) {
+    return {
+      id: this.nextId++,
+      endpoint,
+      browser: null,
+      inUse: false,
+      state: 'starting',
+      contexts: 0,
+      launchedAt: null,
+      idleSince: null,
+      restarts: 0,
+      restartReason: null,
+      lastProbeAt: null,
+      lastFailure: null
+    };
+  }
+
+  /**
+   * Check whether another browser fits under the memory ceiling
+   * @returns {boolean}
+   */
+  hasMemoryForBrowser() {
+    const { memoryPerBrowserMB, memoryCeiling } = config.scraping.browserPool;
+    const { limitBytes, usageBytes } = readMemoryUsage();
+    return usageBytes + memoryPerBrowserMB * 1024 * 1024 <= limitBytes * memoryCeiling;
+  }
+
+  /**
+   * Launch one more browser for queued callers
+   * Nothing happens when pending launches already cover the queue, the pool
+   * is at maxSize, or memory is short; callers then wait for a release.
+   * Failed slots don't count toward maxSize, so a browser that could not be
+   * relaunched is replaced instead of leaving callers to time out. Remote
+   * pools have a fixed slot per endpoint and never grow, and neither does a
+   * pool that isn't initialized.
+   * @returns {Promise<void>}
+   */
+  async grow() {
+    if (!this.initialized || this.endpoints.length > 0 || this.launching >= this.queueLength() || this.activeSize() >= this.maxSize) {
+      return;
+    }
+    if (!this.hasMemoryForBrowser()) {
+      recordPoolScaling('grow_blocked');
+      logger.debug({ size: this.browsers.length }, 'Not enough memory to grow browser pool');
+      return;
+    }
+
+    const browserObj = this.createSlot();
+    this.browsers.push(browserObj);
+    this.launching++;
+
+    try {
+      await this.launchBrowser(browserObj);
+
+      // The pool was closed while the browser launched
+      if (!this.initialized) {
+        this.removeSlot(browserObj);
+        await browserObj.browser.close().catch(() => {});
+        return;
+      }
+
+      recordPoolScaling('grow');
+      logger.info({ browserId: browserObj.id, size: this.browsers.length }, 'Browser pool grew');
+      this.makeAvailable(browserObj);
+    } catch (error) {
+      this.removeSlot(browserObj);
+      logger.error({ err: error }, 'Failed to launch browser for pool growth');
+    } finally {
+      this.launching--;
+      this.updateMetrics();
+    }
+  }
+
+  /**
+   * Remove a slot from the pool, if it is still there
+   * close() replaces the slot list, so a launch that outlives it finds its slot gone.
+   * @param {Object} browserObj - Pool slot
+   */
+  removeSlot(browserObj) {
+    const index = this.browsers.indexOf(browserObj);
+    if (index !== -1) {
+      this.browsers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Number of slots that hold, or are getting, a working browser
+   * @returns {number}
+   */
+  activeSize() {
+    return this.browsers.filter(b => b.state !== 'failed').length;
+  }
+
+  /**
+   * Close browsers idle for longer than the idle timeout, down to minSize
+   * @returns {Promise<void>}
+   */
+  async shrink() {
+    const { idleTimeout } = config.scraping.browserPool;
+    const idle = this.availableBrowsers.filter(b => Date.now() - b.idleSince >= idleTimeout);
+
+    for (const browserObj of idle) {
+      if (this.activeSize() <= this.minSize) break;
+
+      this.availableBrowsers.splice(this.availableBrowsers.indexOf(browserObj), 1);
+      this.browsers.splice(this.browsers.indexOf(browserObj), 1);
+
+      const { browser } = browserObj;
+      browserObj.browser = null;
+      browserObj.state = 'closed';
+      await browser.close().catch(() => {});
+
+      recordPoolScaling('shrink');
+      logger.info({ browserId: browserObj.id, size: this.browsers.length }, 'Closed idle browser');
+    }
+
+    this.updateMetrics();
+  }
+
+  /**
+   * Launch Chromium for a pool slot, or connect to its remote endpoint, and
+   * watch it for crashes and disconnects
+   * @param {Object} browserObj - Pool slot
+   * @returns {Promise<void>}
+   */
+  async launchBrowser(browserObj) {
+    const browser = browserObj.endpoint
+      ? await this.connectBrowser(browserObj.endpoint)
+      : await chromium.launch({
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu'
+        ]
+      });
+
+    browser.on('disconnected', () => this.handleDisconnect(browserObj, browser));
+
+    Object.assign(browserObj, {
+      browser,
+      state: 'ready',
+      contexts: 0,
+      launchedAt: Date.now(),
+      restartReason: null
+    });
+
+    logger.debug(`Browser ${browserObj.id} ${browserObj.endpoint ? 'connected' : 'launched'}`);
+  }
+
+  /**
+   * Connect to a remote browser
+   * @param {string} endpoint - Endpoint from BROWSER_ENDPOINTS
+   * @returns {Promise<Object>} - Playwright browser
+   */
+  async connectBrowser(endpoint) {
+    const { protocol, url } = parseEndpoint(endpoint);
+
+    return protocol === 'cdp'
+      ? chromium.connectOverCDP(url, { timeout: CONNECT_TIMEOUT })
+      : chromium.connect(url, { timeout: CONNECT_TIMEOUT });
+  }
+
+  /**
+   * Relaunch a crashed browser, or flag it for relaunch when its user releases it
+   * @param {Object} browserObj - Pool slot
+   * @param {Object} browser - The Playwright browser that disconnected
+   */
+  handleDisconnect(browserObj, browser) {
+    // Restarts and shutdown close browsers on purpose
+    if (!this.initialized || browserObj.browser !== browser) {
+      return;
+    }
+
+    const reason = browserObj.endpoint ? 'disconnected' : 'crash';
+    logger.error({
+      browserId: browserObj.id,
+      ...(browserObj.endpoint && { endpoint: redactEndpoint(browserObj.endpoint) })
+    }, 'Browser disconnected');
+    this.recordFailure(browserObj, new Error('Browser disconnected'));
+
+    if (browserObj.inUse) {
+      browserObj.restartReason = reason;
+      return;
+    }
+
+    const index = this.availableBrowsers.indexOf(browserObj);
+    if (index !== -1) {
+      this.availableBrowsers.splice(index, 1);
+    }
+    this.restartBrowser(browserObj, reason);
+  }
+
+  /**
+   * Replace a slot's browser with a fresh one, then hand the slot out again
+   * @param {Object} browserObj - Pool slot (not in use and not available)
+   * @param {string} reason - crash, disconnected, context_failed, probe_failed, recycle_contexts, recycle_age or relaunch
+   * @returns {Promise<void>}
+   */
+  async restartBrowser(browserObj, reason) {
+    browserObj.state = 'restarting';
+    recordBrowserRestart(reason);
+
+    const previous = browserObj.browser;
+    browserObj.browser = null;
+    if (previous) {
+      await previous.close().catch(() => {});
+    }
+
+    if (!this.initialized) {
+      return;
+    }
+
+    try {
+      await this.launchBrowser(browserObj);
+      browserObj.restarts++;
+      logger.info({ browserId: browserObj.id, reason, restarts: browserObj.restarts }, 'Browser restarted');
+      this.makeAvailable(browserObj);
+    } catch (error) {
+      // The liveness probe tries again; queued callers get a replacement meanwhile
+      browserObj.state = 'failed';
+      this.recordFailure(browserObj, error);
+      logger.error({ err: error, browserId: browserObj.id }, 'Failed to relaunch browser');
+      this.updateMetrics();
+      this.grow();
+    }
+  }
+
+  /**
+   * Remember the last thing that went wrong with a browser, for /health
+   * @param {Object} browserObj - Pool slot
+   * @param {Error} error - Failure
+   */
+  recordFailure(browserObj, error) {
+    browserObj.lastFailure = {
+      message: error.message,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Reason a released browser should be restarted before reuse
+   * Remote slots are only recycled when they fail: restarting one merely
+   * reconnects to the same browser process, which frees nothing.
+   * @param {Object} browserObj - Pool slot
+   * @returns {string|null} - Restart reason, or null to reuse it as is
+   */
+  restartReason(browserObj) {
+    if (browserObj.restartReason) return browserObj.restartReason;
+    if (browserObj.endpoint) return null;
+
+    const { recycleContexts, recycleMinutes } = config.scraping.browserHealth;
+    if (browserObj.contexts >= recycleContexts) return 'recycle_contexts';
+    if (Date.now() - browserObj.launchedAt >= recycleMinutes * 60000) return 'recycle_age';
+
+    return null;
+  }
+
+  /**
+   * Close idle browsers, then load a blank page in every remaining idle
+   * browser, restarting those that fail
+   * Browsers whose relaunch failed are retried here too.
+   * @returns {Promise<void>}
+   */
+  async probe() {
+    if (this.probing || !this.initialized) return;
+    this.probing = true;
+
+    try {
+      await this.shrink();
+
+      for (const browserObj of this.browsers.filter(b => b.state === 'failed')) {
+        // A replacement may already have taken the slot's place
+        if (!browserObj.endpoint && this.activeSize() >= this.maxSize) {
+          this.browsers.splice(this.browsers.indexOf(browserObj), 1);
+          browserObj.state = 'closed';
+          continue;
+        }
+        await this.restartBrowser(browserObj, 'relaunch');
+      }
+
+      // Probed in place: a caller can still take the browser meanwhile, so
+      // probing never makes callers queue or the pool grow
+      for (const browserObj of [...this.availableBrowsers]) {
+        if (browserObj.state !== 'ready' || await this.probeBrowser(browserObj)) continue;
+
+        if (browserObj.inUse) {
+          browserObj.restartReason = 'probe_failed';
+          continue;
+        }
+
+        const index = this.availableBrowsers.indexOf(browserObj);
+        if (index === -1) continue;
+        this.availableBrowsers.splice(index, 1);
+        this.restartBrowser(browserObj, 'probe_failed');
+      }
+    } finally {
+      this.probing = false;
+    }
+  }
+
+  /**
+   * Check that a browser can still open a context and load a page
+   * @param {Object} browserObj - Pool slot
+   * @returns {Promise<boolean>}
+   */
+  async probeBrowser(browserObj) {
+    let context = null;
+    let timer;
+
+    const check = async () => {
+      context = await browserObj.browser.newContext();
+      const page = await context.newPage();
+      await page.goto('about:blank');
+    };
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Liveness probe timed out')), PROBE_TIMEOUT);
+    });
+
+    try {
+      await Promise.race([check(), timeout]);
+      browserObj.lastProbeAt = new Date().toISOString();
+      return true;
+    } catch (error) {
+      logger.warn({ err: error, browserId: browserObj.id }, 'Browser liveness probe failed');
+      this.recordFailure(browserObj, error);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      if (context) {
+        await context.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Get an available browser, queueing behind earlier callers when none is free
+   * Released browsers go to the oldest waiter of the highest non-empty lane.
+   * @param {Object} options - Acquire options
+   * @param {number} options.timeout - Timeout in milliseconds
+   * @param {string} options.priority - high, normal or low
+   * @param {AbortSignal} options.signal - Cancels the wait
    * @returns {Promise<Object>} - Browser object with ID
    */
-  async getBrowser(timeout = 30000) {
+  async getBrowser({ timeout = 30000, priority = 'normal', signal } = {}) {
     if (!this.initialized) {
       throw new Error('Browser pool not initialized');
     }
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown browser priority: ${priority}`);
+    }
+    signal?.throwIfAborted();
+
+    // A free browser only goes to a new caller when nobody is already waiting
+    if (this.availableBrowsers.length > 0 && this.queueLength() === 0) {
+      recordBrowserWait(priority, 'acquired', 0);
+      return this.acquire(this.availableBrowsers.shift());
+    }
 
     const start = Date.now();
 
-    while (this.availableBrowsers.length === 0) {
-      if (Date.now() - start > timeout) {
-        throw new Error('Timeout waiting for available browser');
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+    return new Promise((resolve, reject) => {
+      const waiter = {};
+      const lane = this.waiters[priority];
+
+      const finish = outcome => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        recordBrowserWait(priority, outcome, Date.now() - start);
+      };
+      const cancel = (error, outcome) => {
+        lane.splice(lane.indexOf(waiter), 1);
+        this.updateQueueMetrics();
+        finish(outcome);
+        reject(error);
+      };
+      const onAbort = () => cancel(signal.reason, 'aborted');
+      const timer = setTimeout(
+        () => cancel(new Error('Timeout waiting for available browser'), 'timeout'),
+        timeout
+      );
+
+      waiter.grant = browserObj => {
+        finish('acquired');
+        resolve(this.acquire(browserObj));
+      };
+      waiter.close = error => {
+        finish('aborted');
+        reject(error);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      lane.push(waiter);
+      this.updateQueueMetrics();
+      this.grow();
+    });
+  }
 
-    const browserId = this.availableBrowsers.shift();
-    const browserObj = this.browsers[browserId];
+  /**
+   * Mark a browser as in use
+   * @param {Object} browserObj - Browser object
+   * @returns {Object} - Browser object
+   */
+  acquire(browserObj) {
     browserObj.inUse = true;
+    browserObj.idleSince = null;
 
     this.updateMetrics();
-    logger.debug(`Browser ${browserId} acquired`);
+    logger.debug(`Browser ${browserObj.id} acquired`);
 
     return browserObj;
   }
 
   /**
-   * Release a browser back to the pool
+   * Release a browser, restarting it first if it crashed, failed or is due for recycling
    * @param {Object} browserObj - Browser object to release
    */
   releaseBrowser(browserObj) {
@@ -97,26 +559,242 @@ class BrowserPool {
     }
 
     browserObj.inUse = false;
-    this.availableBrowsers.push(browserObj.id);
+    logger.debug(`Browser ${browserObj.id} released`);
+
+    const reason = this.restartReason(browserObj);
+    if (reason) {
+      this.restartBrowser(browserObj, reason);
+    } else {
+      this.makeAvailable(browserObj);
+    }
+
+    // Growth may have been refused while the pool was full or short on memory
+    if (this.queueLength() > 0) {
+      this.grow();
+    }
+  }
+
+  /**
+   * Hand a browser straight to the next waiter, or put it back in the pool
+   * @param {Object} browserObj - Browser object
+   */
+  makeAvailable(browserObj) {
+    const waiter = this.nextWaiter();
+    if (waiter) {
+      waiter.grant(browserObj);
+      return;
+    }
+
+    browserObj.idleSince = Date.now();
+    this.availableBrowsers.push(browserObj);
     this.updateMetrics();
+  }
 
-    logger.debug(`Browser ${browserObj.id} released`);
+  /**
+   * Take the oldest waiter of the highest non-empty lane
+   * @returns {Object|null} - Waiter, or null if nobody is waiting
+   */
+  nextWaiter() {
+    const lane = PRIORITIES.map(priority => this.waiters[priority]).find(waiters => waiters.length > 0);
+    if (!lane) return null;
+
+    const waiter = lane.shift();
+    this.updateQueueMetrics();
+    return waiter;
+  }
+
+  /**
+   * Number of callers waiting for a browser
+   * @returns {number}
+   */
+  queueLength() {
+    return PRIORITIES.reduce((total, priority) => total + this.waiters[priority].length, 0);
   }
 
   /**
    * Create a new browser context
    * @param {Object} browserObj - Browser object
+   * @param {Object} options - Context options
+   * @param {Array} options.allowResourceTypes - Resource types to let through even if blocked by config
+   * @param {string} options.device - Device profile, desktop (default) or mobile
+   * @param {string} options.locale - Locale to emulate (language, time zone and, if configured, proxy)
    * @returns {Promise<Object>} - Browser context
    */
-  async getContext(browserObj) {
-    const context = await browserObj.browser.newContext({
-      viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  async getContext(browserObj, options = {}) {
+    const contextOptions = {
+      ...this.deviceOptions(options.device),
+      ...(options.locale && localeContextOptions(options.locale))
+    };
+    let context;
+    try {
+      context = await browserObj.browser.newContext(contextOptions);
+    } catch (error) {
+      // Restarted when the caller releases it
+      this.recordFailure(browserObj, error);
+      browserObj.restartReason = 'context_failed';
+      throw error;
+    }
+    browserObj.contexts++;
+
+    const { enabled, controlRate } = config.scraping.interception;
+    const intercept = enabled && Math.random() >= controlRate;
+    // Remote browsers fetch from their own network location, and undici can't
+    // speak SOCKS; those contexts keep the per-request address check only
+    const { proxy } = contextOptions;
+    const fulfillNavigations = !browserObj.endpoint && (!proxy || /^https?:/.test(proxy.server));
+    await this.installRouting(context, {
+      allowResourceTypes: intercept ? options.allowResourceTypes || [] : null,
+      fulfillNavigations,
+      proxy
     });
 
     return context;
   }
 
+  /**
+   * Viewport, user agent and touch settings for a device profile
+   * Mobile uses the Playwright descriptor named by SCRAPE_MOBILE_DEVICE.
+   * @param {string} device - desktop or mobile
+   * @returns {Object} - newContext options
+   * @throws {Error} If the configured descriptor does not exist
+   */
+  deviceOptions(device = 'desktop') {
+    if (device === 'desktop') {
+      return {
+        viewport: { width: 1280, height: 720 },
+        userAgent: config.scraping.userAgent
+      };
+    }
+
+    const name = config.scraping.mobileDevice;
+    if (device !== 'mobile' || !devices[name]) {
+      throw new Error(`Unknown device profile: ${device === 'mobile' ? name : device}`);
+    }
+
+    // The pool only runs Chromium, whatever engine the descriptor was written for
+    const { defaultBrowserType, ...descriptor } = devices[name];
+    return descriptor;
+  }
+
+  /**
+   * Route every request in a context: requests to non-public addresses are
+   * always aborted, and blocked resource types and tracker hosts are aborted
+   * when interception is on
+   * @param {Object} context - Browser context
+   * @param {Object} options - Routing options
+   * @param {Array|null} options.allowResourceTypes - Resource types exempt from blocking, or null for no interception
+   * @param {boolean} options.fulfillNavigations - Fetch navigations from Node (see fulfillNavigation)
+   * @param {Object} options.proxy - The context's proxy, which those fetches go through as well
+   * @returns {Promise<void>}
+   */
+  async installRouting(context, { allowResourceTypes = null, fulfillNavigations = true, proxy } = {}) {
+    const { blockResourceTypes, blockHosts, allowHosts } = config.scraping.interception;
+    const rules = allowResourceTypes && {
+      blockResourceTypes: blockResourceTypes.filter(type => !allowResourceTypes.includes(type)),
+      blockHosts,
+      allowHosts
+    };
+
+    await context.route('**/*', async route => {
+      const request = route.request();
+      const url = request.url();
+
+      // The page may already be closed when a late request settles
+      if (!url.startsWith('data:') && !(await isPublicUrl(url))) {
+        logger.warn({ url }, 'Blocked browser request to non-public address');
+        return route.abort('addressunreachable').catch(() => {});
+      }
+
+      if (fulfillNavigations && request.isNavigationRequest() && !url.startsWith('data:') && !config.security.allowPrivateNetworks) {
+        return this.fulfillNavigation(route, request, proxy);
+      }
+
+      const resourceType = request.resourceType();
+      const reason = rules && blockReason(url, resourceType, rules);
+      if (reason) {
+        recordBlockedRequest(resourceType, reason, estimateBlockedBytes(resourceType));
+        return route.abort('blockedbyclient').catch(() => {});
+      }
+      // Subresources (including fetch/XHR and iframe documents) are only checked
+      // above; the browser resolves the name again when it fetches them, so a
+      // host that rebinds to a private address in between is still reached
+      return route.continue().catch(() => {});
+    });
+
+    // Contexts that let some blocked types through (screenshot renders) are
+    // kept out of the on/off comparison
+    let mode = 'off';
+    if (rules) {
+      mode = rules.blockResourceTypes.length < blockResourceTypes.length ? 'partial' : 'on';
+    }
+    this.interceptionModes.set(context, mode);
+  }
+
+  /**
+   * Fetch a navigation request from Node instead of the browser
+   * The browser resolves hostnames on its own, so a check in the route handler
+   * can be undone by DNS rebinding, and redirect hops it follows never reach
+   * the handler. Documents go through safeFetch instead: the connection is
+   * pinned to a checked address, and a redirect is only handed to the browser
+   * once its target has passed the same check. Contexts with a proxy (locale
+   * renders) fetch through that proxy, so the page is the one served there.
+   * @param {Object} route - Playwright route
+   * @param {Object} request - Navigation request
+   * @param {Object} proxy - Playwright proxy settings of the context, if any
+   * @returns {Promise<void>}
+   */
+  async fulfillNavigation(route, request, proxy) {
+    const url = request.url();
+
+    try {
+      const requestHeaders = Object.fromEntries(
+        Object.entries(await request.allHeaders()).filter(([name]) => !name.startsWith(':') && name !== 'host')
+      );
+      const response = await safeFetch(url, {
+        method: request.method(),
+        headers: requestHeaders,
+        body: request.postDataBuffer() || undefined,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.scraping.pageLoadTimeout),
+        ...(proxy && { proxy })
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await assertPublicUrl(new URL(location, url).toString());
+      }
+
+      const headers = {};
+      response.headers.forEach((value, name) => {
+        if (!TRANSFER_HEADERS.has(name) && name !== 'set-cookie') headers[name] = value;
+      });
+      const cookies = response.headers.getSetCookie();
+      if (cookies.length) headers['set-cookie'] = cookies.join('\n');
+
+      await route.fulfill({
+        status: response.status,
+        headers,
+        body: Buffer.from(await response.arrayBuffer())
+      });
+    } catch (error) {
+      if (error instanceof UnsafeUrlError) {
+        logger.warn({ url, reason: error.message }, 'Blocked browser navigation to non-public address');
+        return route.abort('addressunreachable').catch(() => {});
+      }
+      logger.debug({ err: error, url }, 'Navigation fetch failed');
+      return route.abort(error.name === 'TimeoutError' ? 'timedout' : 'failed').catch(() => {});
+    }
+  }
+
+  /**
+   * How much of the configured blocking a context applies
+   * @param {Object} context - Browser context
+   * @returns {string} - on (all of it), partial (some resource types allowed) or off (control context)
+   */
+  interceptionMode(context) {
+    return this.interceptionModes.get(context) || 'off';
+  }
+
   /**
    * Close context and release browser
    * @param {Object} context - Browser context
@@ -137,13 +815,58 @@ class BrowserPool {
    */
   getStats() {
     return {
-      total: this.poolSize,
-      inUse: this.poolSize - this.availableBrowsers.length,
+      total: this.browsers.length,
+      min: this.minSize,
+      max: this.maxSize,
+      launching: this.launching,
+      inUse: this.browsers.filter(b => b.inUse).length,
       available: this.availableBrowsers.length,
-      initialized: this.initialized
+      waiting: Object.fromEntries(PRIORITIES.map(priority => [priority, this.waiters[priority].length])),
+      initialized: this.initialized,
+      browsers: this.browsers.map(b => ({
+        id: b.id,
+        endpoint: b.endpoint ? redactEndpoint(b.endpoint) : 'local',
+        state: b.state,
+        inUse: b.inUse,
+        contexts: b.contexts,
+        uptimeMs: b.launchedAt ? Date.now() - b.launchedAt : null,
+        idleMs: b.idleSince ? Date.now() - b.idleSince : null,
+        restarts: b.restarts,
+        lastProbeAt: b.lastProbeAt,
+        lastFailure: b.lastFailure
+      })),
+      ...(this.endpoints.length > 0 && { endpoints: this.getEndpointStats() }),
+      memory: readMemoryUsage()
     };
   }
 
+  /**
+   * Summarize slots per remote endpoint
+   * @returns {Array} - { endpoint, slots, ready, inUse, contexts, restarts, lastFailure } per endpoint
+   */
+  getEndpointStats() {
+    const stats = new Map();
+
+    for (const b of this.browsers.filter(slot => slot.endpoint)) {
+      const endpoint = redactEndpoint(b.endpoint);
+      const entry = stats.get(endpoint) ||
+        { endpoint, slots: 0, ready: 0, inUse: 0, contexts: 0, restarts: 0, lastFailure: null };
+
+      entry.slots++;
+      if (b.state === 'ready') entry.ready++;
+      if (b.inUse) entry.inUse++;
+      entry.contexts += b.contexts;
+      entry.restarts += b.restarts;
+      if (b.lastFailure && (!entry.lastFailure || b.lastFailure.at > entry.lastFailure.at)) {
+        entry.lastFailure = b.lastFailure;
+      }
+
+      stats.set(endpoint, entry);
+    }
+
+    return [...stats.values()];
+  }
+
   /**
    * Update Prometheus metrics
    */
@@ -152,6 +875,15 @@ class BrowserPool {
     updateBrowserPool(stats.total, stats.inUse);
   }
 
+  /**
+   * Update waiter queue depth metrics
+   */
+  updateQueueMetrics() {
+    for (const priority of PRIORITIES) {
+      updateBrowserQueue(priority, this.waiters[priority].length);
+    }
+  }
+
   /**
    * Close all browsers
    * @returns {Promise<void>}
@@ -163,9 +895,21 @@ class BrowserPool {
 
     logger.info('Closing browser pool');
 
+    // Disconnects from here on are expected
+    this.initialized = false;
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+
+    for (const priority of PRIORITIES) {
+      for (const waiter of this.waiters[priority].splice(0)) {
+        waiter.close(new Error('Browser pool closed'));
+      }
+    }
+    this.updateQueueMetrics();
+
     for (const browserObj of this.browsers) {
       try {
-        await browserObj.browser.close();
+        await browserObj.browser?.close();
         logger.debug(`Browser ${browserObj.id} closed`);
       } catch (error) {
         logger.error({ err: error, browserId: browserObj.id }, 'Error closing browser');
@@ -174,13 +918,12 @@ class BrowserPool {
 
     this.browsers = [];
     this.availableBrowsers = [];
-    this.initialized = false;
 
     logger.info('Browser pool closed');
   }
 }
 
 // Create singleton instance
-const browserPool = new BrowserPool(config.scraping.browserPoolSize);
+const browserPool = new BrowserPool(config.scraping.browserPool);
 
 module.exports = browserPool;
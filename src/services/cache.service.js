@@ -3,7 +3,7 @@ const cacheModel = require('../db/models/cache.model');
 const config = require('../config/environment');
 const { logger } = require('../utils/logger');
 const { recordCacheHit, recordCacheMiss } = require('../utils/metrics');
-const { generateUrlHash } = require('../utils/helpers');
+const { generateUrlHash, normalizePageUrl } = require('../utils/helpers');
 
 /**
  * Two-tier caching service (Redis + PostgreSQL)
@@ -73,6 +73,137 @@ class CacheService {
     }
   }
 
+  /**
+   * Get cached pages, from Redis first and PostgreSQL for the rest
+   * @param {Array} urls - Page URLs
+   * @returns {Promise<Map>} - Normalized URL to page for every fresh entry
+   */
+  async getPages(urls) {
+    const found = new Map();
+    const keys = [...new Set(urls.map(normalizePageUrl).filter(Boolean))];
+    if (keys.length === 0) return found;
+
+    try {
+      const redisPages = await Promise.all(keys.map(url => redis.get(this.pageKey(url))));
+      keys.forEach((url, index) => {
+        if (redisPages[index]) {
+          found.set(url, redisPages[index]);
+          recordCacheHit('redis_page');
+        } else {
+          recordCacheMiss('redis_page');
+        }
+      });
+
+      const missing = keys.filter(url => !found.has(url));
+      if (missing.length > 0) {
+        const dbPages = await cacheModel.getCachedPages(missing);
+        for (const page of dbPages) {
+          const url = normalizePageUrl(page.url);
+          found.set(url, page);
+          recordCacheHit('postgres_page');
+
+          // Backfill Redis
+          await redis.set(this.pageKey(url), page, config.cache.pageTTL);
+        }
+        for (let i = dbPages.length; i < missing.length; i++) {
+          recordCacheMiss('postgres_page');
+        }
+      }
+
+      logger.debug({ requested: keys.length, hits: found.size }, 'Page cache lookup');
+    } catch (error) {
+      logger.error({ err: error }, 'Page cache retrieval error');
+    }
+
+    return found;
+  }
+
+  /**
+   * Get expired pages still kept in PostgreSQL, for conditional re-fetching
+   * @param {Array} urls - Page URLs
+   * @returns {Promise<Map>} - Normalized URL to expired page
+   */
+  async getStalePages(urls) {
+    const found = new Map();
+    const keys = [...new Set(urls.map(normalizePageUrl).filter(Boolean))];
+    if (keys.length === 0) return found;
+
+    try {
+      const pages = await cacheModel.getStalePages(keys);
+      for (const page of pages) {
+        found.set(normalizePageUrl(page.url), page);
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Stale page lookup error');
+    }
+
+    return found;
+  }
+
+  /**
+   * Cache scraped pages in both tiers
+   * @param {Array} pages - Scraped pages (with contentHash)
+   * @param {number} ttl - TTL in seconds
+   * @returns {Promise<void>}
+   */
+  async cachePages(pages, ttl = null) {
+    const actualTtl = ttl || config.cache.pageTTL;
+
+    try {
+      await Promise.all(pages.map(page => {
+        const url = normalizePageUrl(page.url);
+        return Promise.all([
+          redis.set(this.pageKey(url), page, actualTtl),
+          cacheModel.setCachedPage(url, page, page.contentHash, actualTtl)
+        ]);
+      }));
+
+      logger.debug({ count: pages.length, ttl: actualTtl }, 'Pages cached in both tiers');
+    } catch (error) {
+      logger.error({ err: error }, 'Page cache save error');
+      // Don't throw - caching failure shouldn't break the request
+    }
+  }
+
+  /**
+   * Get the page snapshot from the last scrape of a domain that found its pages the same way
+   * @param {string} domain - Domain
+   * @param {string} discoveryKey - How pages were found (see ScraperService.discoveryKey)
+   * @returns {Promise<Object|null>} - { pages, scraped_at } or null
+   */
+  async getSiteSnapshot(domain, discoveryKey) {
+    try {
+      return await cacheModel.getSiteSnapshot(domain, discoveryKey);
+    } catch (error) {
+      logger.error({ err: error, domain }, 'Site snapshot retrieval error');
+      return null;
+    }
+  }
+
+  /**
+   * Save the page snapshot of a domain for one discovery mode
+   * @param {string} domain - Domain
+   * @param {string} discoveryKey - How pages were found (see ScraperService.discoveryKey)
+   * @param {Array} pages - { url, contentHash } entries
+   * @returns {Promise<void>}
+   */
+  async saveSiteSnapshot(domain, discoveryKey, pages) {
+    try {
+      await cacheModel.saveSiteSnapshot(domain, discoveryKey, pages);
+    } catch (error) {
+      logger.error({ err: error, domain }, 'Site snapshot save error');
+    }
+  }
+
+  /**
+   * Redis key for a cached page
+   * @param {string} url - Normalized page URL
+   * @returns {string}
+   */
+  pageKey(url) {
+    return `page:${generateUrlHash(url)}`;
+  }
+
   /**
    * Invalidate cache for URL
    * @param {string} url - URL to invalidate
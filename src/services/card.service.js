@@ -31,11 +31,38 @@ class CardService {
         {
           title: 'Key Features',
           items: brand.key_features || []
-        }
+        },
+        ...(brand.visual_identity ? [this.generateVisualIdentitySection(brand.visual_identity)] : [])
       ]
     };
   }
 
+  /**
+   * Generate visual identity card section
+   * @param {Object} visualIdentity - Colors, fonts and logo from the homepage
+   * @returns {Object} - Card section
+   */
+  generateVisualIdentitySection(visualIdentity) {
+    const { colors = {}, fonts = {}, logo } = visualIdentity;
+    const items = [];
+
+    if (colors.primary) items.push(`Primary color: ${colors.primary}`);
+    if (colors.background) items.push(`Background: ${colors.background}`);
+    if (colors.text) items.push(`Text color: ${colors.text}`);
+    if (colors.palette?.length) items.push(`Palette: ${colors.palette.join(', ')}`);
+    if (fonts.headings?.length) items.push(`Heading font: ${fonts.headings[0]}`);
+    if (fonts.body?.length) items.push(`Body font: ${fonts.body[0]}`);
+    if (logo?.url) items.push(`Logo: ${logo.url}`);
+    else if (logo?.svg) items.push('Logo: inline SVG');
+
+    return {
+      title: 'Visual Identity',
+      items,
+      colors: colors.palette || [],
+      logo: logo || null
+    };
+  }
+
   /**
    * Generate competitor card
    * @param {Object} competitor - Competitor data
@@ -62,11 +89,31 @@ class CardService {
         {
           title: 'Differentiation',
           content: competitor.differentiation
-        }
+        },
+        ...(competitor.pricing_plans?.length ? [this.generatePricingSection(competitor.pricing_plans)] : [])
       ]
     };
   }
 
+  /**
+   * Generate pricing card section
+   * @param {Array} plans - Parsed pricing plans
+   * @returns {Object} - Card section
+   */
+  generatePricingSection(plans) {
+    const periods = { month: '/mo', year: '/yr', week: '/wk', day: '/day', one_time: ' one-time' };
+
+    return {
+      title: 'Pricing',
+      items: plans.map(plan => {
+        if (plan.price === null) return `${plan.plan}: custom pricing`;
+        if (plan.price === 0) return `${plan.plan}: free`;
+        const currency = plan.currency ? `${plan.currency} ` : '';
+        return `${plan.plan}: ${currency}${plan.price}${periods[plan.period] || ''}`;
+      })
+    };
+  }
+
   /**
    * Generate kernel card with all data
    * @param {Object} kernel - Kernel data
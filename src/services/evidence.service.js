@@ -1,5 +1,8 @@
+const cacheService = require('./cache.service');
+const snapshotService = require('./snapshot.service');
 const { logger } = require('../utils/logger');
-const { extractDomain } = require('../utils/helpers');
+const { extractDomain, normalizePageUrl } = require('../utils/helpers');
+const { safeFetch } = require('../utils/network-guard');
 const { EvidenceViolationError } = require('../utils/errors');
 
 /**
@@ -21,8 +24,11 @@ class EvidenceService {
       };
     }
 
+    // Pages we scraped recently don't need another request
+    const cachedPages = await cacheService.getPages(urls);
+
     const results = await Promise.all(
-      urls.map(url => this.validateUrl(url, allowedDomains))
+      urls.map(url => this.validateUrl(url, allowedDomains, cachedPages))
     );
 
     const valid = results.filter(r => r.valid).map(r => r.url);
@@ -51,9 +57,10 @@ class EvidenceService {
    * Validate a single URL
    * @param {string} url - URL to validate
    * @param {Array} allowedDomains - Allowed domains
+   * @param {Map} cachedPages - Fresh page cache entries by normalized URL
    * @returns {Promise<Object>} - Validation result
    */
-  async validateUrl(url, allowedDomains) {
+  async validateUrl(url, allowedDomains, cachedPages = new Map()) {
     try {
       // Check domain
       const domain = extractDomain(url);
@@ -65,8 +72,24 @@ class EvidenceService {
         };
       }
 
+      if (cachedPages.has(normalizePageUrl(url))) {
+        return {
+          valid: true,
+          url,
+          source: 'page_cache'
+        };
+      }
+
+      // Replays run offline, so the bundle is the only record of what existed
+      if (snapshotService.isReplaying()) {
+        const recorded = await snapshotService.getPage(url);
+        return recorded
+          ? { valid: true, url, source: 'snapshot' }
+          : { valid: false, url, reason: 'Not in snapshot bundle' };
+      }
+
       // HTTP HEAD request with timeout
-      const response = await fetch(url, {
+      const response = await safeFetch(url, {
         method: 'HEAD',
         redirect: 'follow',
         signal: AbortSignal.timeout(5000)
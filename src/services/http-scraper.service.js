@@ -0,0 +1,192 @@
+const { parseHTML } = require('linkedom');
+const { Readability } = require('@mozilla/readability');
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { resolveUrl } = require('../utils/helpers');
+const {
+  collectPageLinks,
+  extractStructuredData,
+  extractPricingBlocks,
+  detectChallengeMarkers
+} = require('../utils/page-extractors');
+const { normalizeStructuredData } = require('../utils/structured-data');
+const { isPricingUrl, parsePricing } = require('../utils/pricing');
+const { CONSENT_CONTAINER_SELECTOR } = require('../utils/consent');
+const { safeFetch } = require('../utils/network-guard');
+
+/**
+ * Mount points of client-rendered apps (React, Vue, Next, Nuxt, Angular, Svelte)
+ */
+const APP_ROOT_SELECTOR = '#root, #app, #__next, #__nuxt, #___gatsby, [data-reactroot], app-root, #svelte';
+
+const NOSCRIPT_WARNING = /(enable|turn on|requires?)\s+javascript/i;
+
+/**
+ * Plain HTTP scraping engine: fetch the HTML and extract the main content
+ * with Readability, without starting a browser
+ */
+class HttpScraperService {
+  /**
+   * Fetch and extract a single page
+   * @param {string} url - Page URL
+   * @param {Object} options - Page options
+   * @param {boolean} options.collectLinks - Also return links found in nav, body and footer
+   * @param {boolean} options.captureResponse - Also return the raw response as `page.response`
+   * @returns {Promise<Object>} - { page } on success, or { page: null, reason } when the page needs a browser
+   */
+  async fetchPage(url, options = {}) {
+    let response;
+    try {
+      response = await safeFetch(url, {
+        redirect: 'follow',
+        headers: {
+          'User-Agent': config.scraping.userAgent,
+          Accept: 'text/html,application/xhtml+xml'
+        },
+        signal: AbortSignal.timeout(config.scraping.engine.httpTimeout)
+      });
+    } catch (error) {
+      logger.debug({ err: error, url }, 'HTTP fetch failed');
+      return { page: null, reason: 'fetch_error' };
+    }
+
+    if (!response.ok) {
+      return { page: null, reason: `http_${response.status}` };
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/html/i.test(contentType)) {
+      return { page: null, reason: 'not_html' };
+    }
+
+    const html = await response.text();
+    const { document } = parseHTML(html);
+
+    if (this.isScriptShell(document)) {
+      return { page: null, reason: 'js_shell' };
+    }
+
+    // Read links, metadata and pricing before Readability rewrites the DOM
+    const links = options.collectLinks
+      ? collectPageLinks(document).map(link => resolveUrl(link, response.url)).filter(Boolean)
+      : undefined;
+    const structured = normalizeStructuredData(extractStructuredData(document), url);
+    const pricing = isPricingUrl(url) ? parsePricing(extractPricingBlocks(document)) : undefined;
+    const title = (document.title || '').trim();
+    const markers = detectChallengeMarkers(document);
+
+    const content = this.extractMainText(document);
+    if (content.length < config.scraping.engine.minTextLength) {
+      return { page: null, reason: 'short_text' };
+    }
+
+    return {
+      page: {
+        url,
+        title,
+        content,
+        structured,
+        engine: 'http',
+        httpStatus: response.status,
+        finalUrl: response.url,
+        ...((markers.captcha.length || markers.challenge.length) && { challengeMarkers: markers }),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        scrapedAt: new Date().toISOString(),
+        ...(pricing?.length && { pricing }),
+        // Screenshots need a browser; pages cited as evidence get one later (see captureEvidenceScreenshots)
+        ...(config.scraping.screenshots.enabled && { screenshot: null, screenshotSkipped: 'http_engine' }),
+        ...(links && { links }),
+        ...(options.captureResponse && {
+          response: {
+            html,
+            status: response.status,
+            headers: Object.fromEntries(response.headers),
+            finalUrl: response.url
+          }
+        })
+      }
+    };
+  }
+
+  /**
+   * Ask the server whether a previously scraped page changed
+   * @param {string} url - Page URL
+   * @param {Object} validators - { etag, lastModified } from the earlier response
+   * @returns {Promise<boolean>} - True when the server answered 304 Not Modified
+   */
+  async isUnchanged(url, validators) {
+    const headers = { 'User-Agent': config.scraping.userAgent };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    try {
+      const response = await safeFetch(url, {
+        redirect: 'follow',
+        headers,
+        signal: AbortSignal.timeout(config.scraping.engine.httpTimeout)
+      });
+
+      // A changed page is re-scraped by the normal engine, so skip this body
+      await response.body?.cancel();
+      return response.status === 304;
+    } catch (error) {
+      logger.debug({ err: error, url }, 'Conditional request failed');
+      return false;
+    }
+  }
+
+  /**
+   * Detect server responses that are an empty mount point for a client-side app
+   * @param {Document} document - Parsed HTML document
+   * @returns {boolean}
+   */
+  isScriptShell(document) {
+    const body = document.body;
+    if (!body) return true;
+
+    const noscript = Array.from(document.querySelectorAll('noscript'))
+      .some(el => NOSCRIPT_WARNING.test(el.textContent || ''));
+
+    const appRoot = document.querySelector(APP_ROOT_SELECTOR);
+    const emptyAppRoot = appRoot && (appRoot.textContent || '').trim().length < 50;
+
+    return Boolean(noscript || emptyAppRoot);
+  }
+
+  /**
+   * Extract the main text with Readability, falling back to the body text
+   * with the same chrome stripped as the browser engine
+   * @param {Document} document - Parsed HTML document (modified in place)
+   * @returns {string} - Plain text content
+   */
+  extractMainText(document) {
+    document.querySelectorAll(CONSENT_CONTAINER_SELECTOR).forEach(el => el.remove());
+
+    try {
+      const article = new Readability(document.cloneNode(true)).parse();
+      const text = this.normalizeText(article?.textContent);
+      if (text) return text;
+    } catch (error) {
+      logger.debug({ err: error }, 'Readability extraction failed');
+    }
+
+    document.querySelectorAll('script, style, noscript, template, nav, footer, header').forEach(el => el.remove());
+    return this.normalizeText(document.body?.textContent);
+  }
+
+  /**
+   * Collapse whitespace left over from markup while keeping line breaks
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return (text || '')
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+module.exports = new HttpScraperService();
@@ -2,11 +2,19 @@ const OpenAI = require('openai');
 const config = require('../config/environment');
 const { logger } = require('../utils/logger');
 const { recordOpenAITokens, recordOpenAICall } = require('../utils/metrics');
-const { retry } = require('../utils/helpers');
-const { OpenAIError, OpenAITimeoutError, LowConfidenceError } = require('../utils/errors');
+const { estimateTokens, extractDomain, normalizePageUrl, retry } = require('../utils/helpers');
+const { packNotes, packPages } = require('../utils/content-packer');
+const snapshotService = require('./snapshot.service');
+const {
+  OpenAIError,
+  OpenAITimeoutError,
+  LowConfidenceError,
+  InsufficientDataError
+} = require('../utils/errors');
 
 const openai = new OpenAI({
   apiKey: config.openai.apiKey,
+  baseURL: config.openai.baseURL,
   timeout: config.openai.timeout
 });
 
@@ -16,11 +24,19 @@ const openai = new OpenAI({
 class OpenAIService {
   /**
    * Analyze brand from scraped data
+   * Sites whose content does not fit one prompt go through map-reduce (see analyzeBrandMapReduce).
    * @param {Object} scrapedData - Scraped website data
-   * @returns {Promise<Object>} - Brand analysis
+   * @returns {Promise<Object>} - { analysis, packing, notes } with the brand analysis, what content
+   *   was left out, and per-page notes (map-reduce only)
    */
   async analyzeBrand(scrapedData) {
-    const prompt = this.buildBrandPrompt(scrapedData);
+    const { pages, report } = this.packContent(scrapedData.pages);
+
+    if (this.shouldMapReduce(report)) {
+      return this.analyzeBrandMapReduce(scrapedData);
+    }
+
+    const prompt = this.buildBrandPrompt(scrapedData, pages);
 
     try {
       const result = await retry(async () => {
@@ -28,13 +44,203 @@ class OpenAIService {
       }, 3, 2000);
 
       recordOpenAICall(config.openai.model, 'brand-analysis', 'success');
-      return result;
+      return { analysis: result, packing: { mode: 'single', ...report }, notes: null };
     } catch (error) {
       recordOpenAICall(config.openai.model, 'brand-analysis', 'error');
       throw error;
     }
   }
 
+  /**
+   * Decide whether brand analysis needs map-reduce
+   * @param {Object} report - Packing report of the single-prompt attempt
+   * @returns {boolean}
+   */
+  shouldMapReduce(report) {
+    const { mode } = config.openai.mapReduce;
+    if (mode === 'map_reduce') return true;
+    if (mode === 'single') return false;
+
+    return report.omitted.length > 0 || report.truncated.length > 0;
+  }
+
+  /**
+   * Two-phase brand analysis: summarize groups of pages into notes with
+   * source URLs, then merge the notes into the brand JSON
+   * @param {Object} scrapedData - Scraped website data
+   * @returns {Promise<Object>} - { analysis, packing, notes }
+   */
+  async analyzeBrandMapReduce(scrapedData) {
+    const { concurrency, groupBudget } = config.openai.mapReduce;
+    const groups = this.groupPages(scrapedData.pages);
+    const notes = [];
+
+    logger.info({ pages: scrapedData.pages.length, groups: groups.length }, 'Running map-reduce brand analysis');
+
+    for (let i = 0; i < groups.length; i += concurrency) {
+      const batch = groups.slice(i, i + concurrency);
+      const batchNotes = await Promise.all(batch.map(group => this.summarizePages(group.pages)));
+      notes.push(...batchNotes.flat());
+    }
+
+    // The notes of a large site can overflow the context window too
+    const { notes: packedNotes, report: notesReport } = packNotes(notes, {
+      model: config.openai.model,
+      budget: config.openai.contentBudget
+    });
+    if (notesReport.omitted.length > 0) {
+      logger.debug({
+        budget: notesReport.budget_tokens,
+        omitted: notesReport.omitted.length
+      }, 'Page notes packed into token budget');
+    }
+
+    const prompt = this.buildBrandReducePrompt(scrapedData, packedNotes);
+
+    try {
+      const result = await retry(async () => {
+        return await this.callOpenAI('brand-reduce', prompt);
+      }, 3, 2000);
+
+      recordOpenAICall(config.openai.model, 'brand-reduce', 'success');
+
+      return {
+        analysis: result,
+        packing: {
+          mode: 'map_reduce',
+          model: config.openai.model,
+          budget_tokens: groupBudget,
+          groups: groups.length,
+          included_pages: groups.reduce((total, group) => total + group.report.included_pages, 0),
+          truncated: groups.flatMap(group => group.report.truncated),
+          omitted: groups.flatMap(group => group.report.omitted),
+          reduce: notesReport
+        },
+        notes
+      };
+    } catch (error) {
+      recordOpenAICall(config.openai.model, 'brand-reduce', 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Split pages into groups that each fit one notes prompt
+   * @param {Array} pages - Scraped pages
+   * @returns {Array} - Packed groups ({ pages, report })
+   */
+  groupPages(pages) {
+    const { groupBudget } = config.openai.mapReduce;
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const page of pages) {
+      const pageTokens = estimateTokens(page.content);
+      if (current.length > 0 && tokens + pageTokens > groupBudget) {
+        groups.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(page);
+      tokens += pageTokens;
+    }
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    // A single oversized page is cut at paragraph boundaries
+    return groups.map(group => packPages(group, { model: config.openai.model, budget: groupBudget }));
+  }
+
+  /**
+   * Summarize a group of pages into per-page brand notes
+   * @param {Array} pages - Packed pages
+   * @returns {Promise<Array>} - Notes, each with a source_url from the group
+   */
+  async summarizePages(pages) {
+    const prompt = this.buildBrandNotesPrompt(pages);
+    const urls = this.pageUrlIndex(pages);
+
+    try {
+      const result = await retry(async () => {
+        return await this.callOpenAI('brand-notes', prompt);
+      }, 3, 2000);
+
+      recordOpenAICall(config.openai.model, 'brand-notes', 'success');
+
+      // Only keep notes that point at a page we actually sent, under the URL we sent it as
+      const notes = (result.notes || [])
+        .map(note => ({ ...note, source_url: urls.get(normalizePageUrl(note.source_url)) }))
+        .filter(note => note.source_url);
+
+      const dropped = (result.notes || []).length - notes.length;
+      if (dropped > 0) {
+        logger.warn({ dropped, kept: notes.length }, 'Dropped page notes citing pages that were not sent');
+      }
+
+      return notes;
+    } catch (error) {
+      recordOpenAICall(config.openai.model, 'brand-notes', 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Index pages by normalized URL, so a URL the model echoes back with a
+   * trailing slash, a fragment or reordered query still finds its page
+   * @param {Array} pages - Pages sent in a prompt
+   * @returns {Map} - Normalized URL to the page's URL as sent
+   */
+  pageUrlIndex(pages) {
+    return new Map(pages.map(page => [normalizePageUrl(page.url), page.url]));
+  }
+
+  /**
+   * Extract the tagline and value propositions each locale's version of the site leads with
+   * @param {Object} scrapedData - Scraped website data with localePages
+   * @param {Object} brand - Site-wide brand analysis, for names and context
+   * @returns {Promise<Array>} - One entry per locale with pages:
+   *   { locale, tagline, value_propositions, differs_from_default, evidence_refs },
+   *   or { locale, error } when that locale's analysis failed
+   */
+  async analyzeLocales(scrapedData, brand) {
+    const entries = Object.entries(scrapedData.localePages || {}).filter(([, pages]) => pages.length > 0);
+    const results = [];
+
+    // Locales run in small batches like map-reduce groups
+    for (let i = 0; i < entries.length; i += config.openai.mapReduce.concurrency) {
+      const batch = entries.slice(i, i + config.openai.mapReduce.concurrency);
+      results.push(...await Promise.all(batch.map(async ([locale, pages]) => {
+        const prompt = this.buildLocalePrompt(locale, brand, this.packContent(pages).pages);
+        const urls = this.pageUrlIndex(pages);
+
+        try {
+          const result = await retry(async () => {
+            return await this.callOpenAI('brand-locale', prompt);
+          }, 3, 2000);
+
+          recordOpenAICall(config.openai.model, 'brand-locale', 'success');
+          return {
+            locale,
+            tagline: result.tagline || null,
+            value_propositions: result.value_propositions || [],
+            differs_from_default: Boolean(result.differs_from_default),
+            // Only keep refs to pages rendered for this locale
+            evidence_refs: (result.evidence_refs || []).map(url => urls.get(normalizePageUrl(url))).filter(Boolean)
+          };
+        } catch (error) {
+          // The brand analysis already succeeded; one locale failing shouldn't discard it
+          recordOpenAICall(config.openai.model, 'brand-locale', 'error');
+          logger.warn({ err: error, locale }, 'Locale analysis failed');
+          return { locale, error: error.message };
+        }
+      })));
+    }
+
+    return results;
+  }
+
   /**
    * Find competitors
    * @param {Object} brandData - Brand analysis data
@@ -60,10 +266,11 @@ class OpenAIService {
    * Analyze a competitor
    * @param {string} domain - Competitor domain
    * @param {Object} scrapedData - Scraped competitor data
-   * @returns {Promise<Object>} - Competitor analysis
+   * @returns {Promise<Object>} - { analysis, packing } with the competitor analysis and what content was left out
    */
   async analyzeCompetitor(domain, scrapedData) {
-    const prompt = this.buildCompetitorAnalysisPrompt(domain, scrapedData);
+    const { pages, report } = this.packContent(scrapedData.pages);
+    const prompt = this.buildCompetitorAnalysisPrompt(domain, scrapedData, pages);
 
     try {
       const result = await retry(async () => {
@@ -71,7 +278,7 @@ class OpenAIService {
       }, 3, 2000);
 
       recordOpenAICall(config.openai.model, 'competitor-analysis', 'success');
-      return result;
+      return { analysis: result, packing: report };
     } catch (error) {
       recordOpenAICall(config.openai.model, 'competitor-analysis', 'error');
       throw error;
@@ -102,29 +309,40 @@ class OpenAIService {
 
   /**
    * Call OpenAI API
+   * In snapshot record mode the response is written to the bundle; in replay
+   * mode it is read from there and the API is not called.
    * @param {string} endpoint - Endpoint name for logging
    * @param {string} prompt - Prompt text
    * @returns {Promise<Object>} - Parsed response
    */
   async callOpenAI(endpoint, prompt) {
     const start = Date.now();
+    const request = {
+      model: config.openai.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a brand intelligence analyst. Always respond with valid JSON only, no markdown formatting.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      response_format: { type: 'json_object' }
+    };
+
+    if (snapshotService.isReplaying()) {
+      return this.replayCompletion(endpoint, request);
+    }
 
     try {
-      const response = await openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a brand intelligence analyst. Always respond with valid JSON only, no markdown formatting.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        response_format: { type: 'json_object' }
-      });
+      const response = await openai.chat.completions.create(request);
+
+      if (snapshotService.isRecording()) {
+        await snapshotService.recordCompletion(endpoint, request, response);
+      }
 
       const duration = Date.now() - start;
       const usage = response.usage;
@@ -166,16 +384,76 @@ class OpenAIService {
   }
 
   /**
-   * Build brand analysis prompt
+   * Answer an OpenAI request from the snapshot bundle
+   * @param {string} endpoint - Endpoint name for logging
+   * @param {Object} request - Chat completion request body
+   * @returns {Promise<Object>} - Parsed response
+   * @throws {InsufficientDataError} - If this request was never recorded
+   */
+  async replayCompletion(endpoint, request) {
+    const recorded = await snapshotService.getCompletion(request);
+    if (!recorded) {
+      throw new InsufficientDataError('No OpenAI response recorded for this request', { endpoint });
+    }
+
+    logger.info({ endpoint, recordedAt: recorded.recordedAt }, 'OpenAI response replayed from snapshot');
+    return JSON.parse(recorded.content);
+  }
+
+  /**
+   * Fit page content into the model's token budget
+   * @param {Array} pages - Scraped pages
+   * @returns {Object} - { pages, report } (see packPages)
    */
-  buildBrandPrompt(scrapedData) {
-    const pagesText = scrapedData.pages
-      .map(p => `URL: ${p.url}\nTitle: ${p.title}\nContent: ${p.content.substring(0, 2000)}`)
+  packContent(pages) {
+    const packed = packPages(pages, {
+      model: config.openai.model,
+      budget: config.openai.contentBudget
+    });
+
+    if (packed.report.truncated.length > 0 || packed.report.omitted.length > 0) {
+      logger.debug({
+        budget: packed.report.budget_tokens,
+        truncated: packed.report.truncated.length,
+        omitted: packed.report.omitted.length
+      }, 'Page content packed into token budget');
+    }
+
+    return packed;
+  }
+
+  /**
+   * Format packed pages for a prompt
+   * @param {Array} pages - Packed pages
+   * @returns {string}
+   */
+  formatPages(pages) {
+    return pages
+      .map(p => `URL: ${p.url}\nTitle: ${p.title}\nContent: ${p.content}`)
       .join('\n\n---\n\n');
+  }
+
+  /**
+   * Build brand analysis prompt
+   * @param {Object} scrapedData - Scraped website data (structured signals come from every page)
+   * @param {Array} packedPages - Page content packed into the token budget
+   */
+  buildBrandPrompt(scrapedData, packedPages = this.packContent(scrapedData.pages).pages) {
+    const pagesText = this.formatPages(packedPages);
+
+    const signals = this.buildStructuredSignals(scrapedData.pages);
+    const signalsText = signals
+      ? `Structured metadata (from meta tags, OpenGraph and JSON-LD):
+${JSON.stringify(signals, null, 2)}
+
+When this structured metadata provides the brand name, tagline or domain, prefer it over the body text.
+
+`
+      : '';
 
     return `Analyze this brand based on their website content:
 
-${pagesText}
+${signalsText}${pagesText}
 
 Provide a JSON response with:
 {
@@ -195,6 +473,157 @@ Provide a JSON response with:
 Include 5-15 evidence_refs URLs that support your analysis.`;
   }
 
+  /**
+   * Build page notes prompt (map phase of map-reduce brand analysis)
+   * @param {Array} pages - Packed pages
+   */
+  buildBrandNotesPrompt(pages) {
+    return `Take brand notes from each of these website pages:
+
+${this.formatPages(pages)}
+
+Provide a JSON response with one note per page:
+{
+  "notes": [
+    {
+      "source_url": "Exact URL of the page",
+      "brand_name": "Brand name if stated, else null",
+      "tagline": "Tagline or slogan if stated, else null",
+      "category": "Industry category if evident, else null",
+      "value_propositions": ["value prop stated on this page", ...],
+      "target_audience": "Who this page addresses, else null",
+      "positioning": "How the page positions the brand, else null",
+      "key_features": ["feature named on this page", ...],
+      "quotes": ["Short verbatim phrase that supports the notes", ...]
+    }
+  ]
+}
+
+Only record what each page says. Use null or [] when a page says nothing on a field.`;
+  }
+
+  /**
+   * Build brand merge prompt (reduce phase of map-reduce brand analysis)
+   * @param {Object} scrapedData - Scraped website data
+   * @param {Array} notes - Per-page notes
+   */
+  buildBrandReducePrompt(scrapedData, notes) {
+    const signals = this.buildStructuredSignals(scrapedData.pages);
+    const signalsText = signals
+      ? `Structured metadata (from meta tags, OpenGraph and JSON-LD):
+${JSON.stringify(signals, null, 2)}
+
+When this structured metadata provides the brand name, tagline or domain, prefer it over the notes.
+
+`
+      : '';
+
+    return `Merge these per-page notes from a brand's website into one brand analysis:
+
+${signalsText}Notes:
+${JSON.stringify(notes)}
+
+Provide a JSON response with:
+{
+  "name": "Brand name",
+  "domain": "brand.com",
+  "tagline": "Main tagline or slogan",
+  "category": "Industry category",
+  "value_propositions": ["value prop 1", "value prop 2", ...],
+  "target_audience": "Description of target customers",
+  "positioning": "How they position themselves",
+  "key_features": ["feature 1", "feature 2", ...],
+  "summary": "2-3 sentence summary",
+  "evidence_refs": ["https://brand.com/about", "https://brand.com/products", ...],
+  "field_sources": {
+    "tagline": ["source_url of the notes used"],
+    "value_propositions": ["..."],
+    "target_audience": ["..."],
+    "positioning": ["..."],
+    "key_features": ["..."]
+  },
+  "confidence_0_1": 0.85
+}
+
+Favor claims repeated across several pages. Take every URL in evidence_refs and field_sources from the notes' source_url values, with 5-15 evidence_refs.`;
+  }
+
+  /**
+   * Build per-locale messaging prompt
+   * @param {string} locale - Locale the pages were rendered in
+   * @param {Object} brand - Site-wide brand analysis
+   * @param {Array} packedPages - The locale's pages, packed into the token budget
+   */
+  buildLocalePrompt(locale, brand, packedPages) {
+    return `These pages of ${brand.name} (${brand.domain}) were rendered for a visitor with locale ${locale}:
+
+${this.formatPages(packedPages)}
+
+The site-wide analysis found:
+Tagline: ${brand.tagline}
+Value Props: ${(brand.value_propositions || []).join(', ')}
+
+Provide a JSON response with the messaging this locale's visitors see:
+{
+  "tagline": "Tagline or slogan as shown to this locale, verbatim in its language",
+  "value_propositions": ["value prop as stated for this locale, verbatim", ...],
+  "differs_from_default": true,
+  "evidence_refs": ["URL of a page above that shows it", ...]
+}
+
+Quote the pages in their own language; don't translate. Set differs_from_default to false when the messaging only differs by translation from the site-wide analysis.`;
+  }
+
+  /**
+   * Summarize structured page metadata into site-level brand signals
+   * @param {Array} pages - Scraped pages
+   * @returns {Object|null} - Signals, or null when no page has structured data
+   */
+  buildStructuredSignals(pages) {
+    const structuredPages = pages.filter(p => p.structured);
+    if (structuredPages.length === 0) {
+      return null;
+    }
+
+    const home = structuredPages.find(p => new URL(p.url).pathname === '/') || structuredPages[0];
+    const homeData = home.structured;
+    const organization = structuredPages.map(p => p.structured.organization).find(Boolean);
+    const firstValue = getter => structuredPages.map(p => getter(p.structured)).find(Boolean) || null;
+
+    const products = [];
+    const seenProducts = new Set();
+    for (const product of structuredPages.flatMap(p => p.structured.products)) {
+      if (!product.name || seenProducts.has(product.name)) continue;
+      seenProducts.add(product.name);
+      const offer = product.offers[0];
+      products.push({
+        name: product.name,
+        price: offer?.price || null,
+        currency: offer?.currency || null
+      });
+    }
+
+    const signals = {
+      site_name: firstValue(data => data.openGraph.site_name),
+      organization_name: organization?.name || null,
+      home_title: homeData.openGraph.title || null,
+      home_description: homeData.openGraph.description || homeData.description || null,
+      domain: extractDomain(homeData.canonical || homeData.openGraph.url || home.url),
+      logo: organization?.logo || null,
+      social_profiles: organization?.sameAs || [],
+      twitter_handle: firstValue(data => data.twitter.site),
+      languages: [...new Set(homeData.hreflang.map(link => link.lang))],
+      products: products.slice(0, 10)
+    };
+
+    // Drop empty signals so the prompt only carries real evidence
+    return Object.fromEntries(
+      Object.entries(signals).filter(([, value]) =>
+        Array.isArray(value) ? value.length > 0 : Boolean(value)
+      )
+    );
+  }
+
   /**
    * Build competitors discovery prompt
    */
@@ -224,15 +653,24 @@ List exactly 10 competitors, ordered by relevance.`;
 
   /**
    * Build competitor analysis prompt
+   * @param {string} domain - Competitor domain
+   * @param {Object} scrapedData - Scraped competitor data
+   * @param {Array} packedPages - Page content packed into the token budget
    */
-  buildCompetitorAnalysisPrompt(domain, scrapedData) {
-    const pagesText = scrapedData.pages
-      .map(p => `URL: ${p.url}\nTitle: ${p.title}\nContent: ${p.content.substring(0, 2000)}`)
-      .join('\n\n---\n\n');
+  buildCompetitorAnalysisPrompt(domain, scrapedData, packedPages = this.packContent(scrapedData.pages).pages) {
+    const pagesText = this.formatPages(packedPages);
+
+    const plans = scrapedData.pricing?.plans || [];
+    const pricingText = plans.length > 0
+      ? `\n\nPricing plans parsed from their pricing page(s):
+${JSON.stringify(plans.map(({ source_url, ...plan }) => plan), null, 2)}
+
+Base "pricing_approach" on these plans rather than guessing.`
+      : '';
 
     return `Analyze this competitor (${domain}) based on their website:
 
-${pagesText}
+${pagesText}${pricingText}
 
 Provide detailed JSON analysis:
 {
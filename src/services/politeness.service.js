@@ -0,0 +1,124 @@
+const robotsService = require('./robots.service');
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+
+/**
+ * Per-host request scheduling shared by every in-flight run
+ * Caps concurrent requests per host and spaces them by robots.txt Crawl-delay
+ */
+class PolitenessService {
+  constructor() {
+    this.hosts = new Map();
+  }
+
+  /**
+   * Run a request against a host once a slot is free
+   * @param {string} url - URL being requested
+   * @param {Function} fn - Async function performing the request
+   * @returns {Promise<any>} - Result of fn
+   */
+  async schedule(url, fn) {
+    const { origin, host } = new URL(url);
+    const state = this.getHostState(host);
+
+    await this.acquire(state);
+
+    try {
+      await this.waitForDelay(state, origin);
+      return await fn();
+    } finally {
+      this.release(state, host);
+    }
+  }
+
+  /**
+   * Get or create scheduling state for a host
+   * @param {string} host - Host name
+   * @returns {Object} - Host state
+   */
+  getHostState(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      state = { active: 0, waiters: [], nextStartAt: 0 };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  /**
+   * Wait for a concurrency slot on a host
+   * @param {Object} state - Host state
+   * @returns {Promise<void>}
+   */
+  acquire(state) {
+    if (state.active < config.scraping.politeness.maxPerHost) {
+      state.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      state.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Release a slot, handing it straight to the next waiter
+   * @param {Object} state - Host state
+   * @param {string} host - Host name
+   */
+  release(state, host) {
+    const next = state.waiters.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    state.active--;
+    if (state.active === 0 && state.nextStartAt <= Date.now()) {
+      this.hosts.delete(host);
+    }
+  }
+
+  /**
+   * Space request starts on a host by its Crawl-delay
+   * @param {Object} state - Host state
+   * @param {string} origin - Origin for robots.txt lookup
+   * @returns {Promise<void>}
+   */
+  async waitForDelay(state, origin) {
+    const crawlDelay = await robotsService.getCrawlDelay(origin);
+    const delayMs = Math.min(
+      crawlDelay * 1000,
+      config.scraping.politeness.maxCrawlDelay * 1000
+    );
+
+    if (delayMs <= 0) {
+      return;
+    }
+
+    // Reserve the next start time before sleeping so parallel waiters queue up behind us
+    const startAt = Math.max(Date.now(), state.nextStartAt);
+    state.nextStartAt = startAt + delayMs;
+
+    const wait = startAt - Date.now();
+    if (wait > 0) {
+      logger.debug({ origin, wait }, 'Honoring crawl delay');
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Get scheduling statistics
+   * @returns {Object} - Active and queued requests per host
+   */
+  getStats() {
+    const hosts = {};
+    for (const [host, state] of this.hosts) {
+      hosts[host] = { active: state.active, queued: state.waiters.length };
+    }
+    return hosts;
+  }
+}
+
+module.exports = new PolitenessService();
@@ -0,0 +1,207 @@
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { safeFetch } = require('../utils/network-guard');
+
+/**
+ * robots.txt fetching, parsing and rule matching service
+ */
+class RobotsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Get parsed robots.txt for an origin (cached in memory)
+   * @param {string} origin - Origin like https://brand.com
+   * @returns {Promise<Object>} - Parsed robots data
+   */
+  async getRobots(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    const robots = await this.fetchRobots(origin);
+    this.cache.set(origin, {
+      robots,
+      expiresAt: Date.now() + config.scraping.robots.cacheTTL * 1000
+    });
+
+    return robots;
+  }
+
+  /**
+   * Fetch and parse robots.txt
+   * @param {string} origin - Origin like https://brand.com
+   * @returns {Promise<Object>} - Parsed robots data
+   */
+  async fetchRobots(origin) {
+    const url = `${origin}/robots.txt`;
+
+    try {
+      const response = await safeFetch(url, {
+        redirect: 'follow',
+        headers: { 'User-Agent': config.scraping.robots.userAgent },
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        logger.debug({ url, status: response.status }, 'robots.txt not available');
+        return { found: false, sitemaps: [], groups: [] };
+      }
+
+      const text = await response.text();
+      return { found: true, ...this.parse(text, origin) };
+    } catch (error) {
+      logger.debug({ err: error, url }, 'Failed to fetch robots.txt');
+      return { found: false, sitemaps: [], groups: [] };
+    }
+  }
+
+  /**
+   * Check whether our user agent may fetch a URL
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} - { allowed, rule }
+   */
+  async isAllowed(url) {
+    if (!config.scraping.politeness.respectRobots) {
+      return { allowed: true, rule: null };
+    }
+
+    const parsed = new URL(url);
+    const robots = await this.getRobots(parsed.origin);
+    const group = this.selectGroup(robots.groups || []);
+
+    if (!group) {
+      return { allowed: true, rule: null };
+    }
+
+    const path = `${parsed.pathname}${parsed.search}`;
+    let match = null;
+
+    // Longest matching rule wins; Allow wins ties
+    for (const rule of group.rules) {
+      if (!rule.path || !this.ruleMatches(rule.path, path)) continue;
+
+      if (
+        !match ||
+        rule.path.length > match.path.length ||
+        (rule.path.length === match.path.length && rule.type === 'allow')
+      ) {
+        match = rule;
+      }
+    }
+
+    return {
+      allowed: !match || match.type === 'allow',
+      rule: match ? `${match.type === 'allow' ? 'Allow' : 'Disallow'}: ${match.path}` : null
+    };
+  }
+
+  /**
+   * Get Crawl-delay for our user agent on an origin
+   * @param {string} origin - Origin like https://brand.com
+   * @returns {Promise<number>} - Delay in seconds (0 if none)
+   */
+  async getCrawlDelay(origin) {
+    if (!config.scraping.politeness.respectRobots) {
+      return 0;
+    }
+
+    const robots = await this.getRobots(origin);
+    const group = this.selectGroup(robots.groups || []);
+    return group?.crawlDelay || 0;
+  }
+
+  /**
+   * Pick the group that applies to our user agent, falling back to *
+   * @param {Array} groups - Parsed groups
+   * @returns {Object|null} - Matching group
+   */
+  selectGroup(groups) {
+    const token = config.scraping.robots.userAgent.toLowerCase();
+    let best = null;
+    let bestLength = -1;
+
+    for (const group of groups) {
+      for (const agent of group.agents) {
+        if (agent === '*' && bestLength < 0) {
+          best = group;
+          bestLength = 0;
+        } else if (agent !== '*' && token.includes(agent) && agent.length > bestLength) {
+          best = group;
+          bestLength = agent.length;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Match a robots.txt path pattern (supports * and $)
+   * @param {string} pattern - Rule path
+   * @param {string} path - URL path with query
+   * @returns {boolean}
+   */
+  ruleMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+
+  /**
+   * Parse robots.txt content
+   * @param {string} text - robots.txt body
+   * @param {string} origin - Origin used to resolve relative sitemap URLs
+   * @returns {Object} - { sitemaps, groups }
+   */
+  parse(text, origin) {
+    const sitemaps = [];
+    const groups = [];
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap' && value) {
+        try {
+          sitemaps.push(new URL(value, origin).toString());
+        } catch (error) {
+          // Ignore malformed sitemap entries
+        }
+      } else if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if (current && (field === 'allow' || field === 'disallow')) {
+        current.rules.push({ type: field, path: value });
+      } else if (current && field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    return {
+      sitemaps: [...new Set(sitemaps)],
+      groups
+    };
+  }
+}
+
+module.exports = new RobotsService();
@@ -1,10 +1,89 @@
 const browserPool = require('./browser-pool.service');
 const cacheService = require('./cache.service');
+const robotsService = require('./robots.service');
+const sitemapService = require('./sitemap.service');
+const politenessService = require('./politeness.service');
+const artifactService = require('./artifact.service');
+const httpScraperService = require('./http-scraper.service');
+const snapshotService = require('./snapshot.service');
 const config = require('../config/environment');
 const { logger } = require('../utils/logger');
-const { recordScraping } = require('../utils/metrics');
-const { extractDomain, jaccardSimilarity, sanitizeUrl } = require('../utils/helpers');
-const { InsufficientDataError } = require('../utils/errors');
+const { recordScraping, recordPageEngine, recordPageLoad, recordWaitStrategy } = require('../utils/metrics');
+const {
+  extractDomain,
+  generateUrlHash,
+  globToRegExp,
+  hashContent,
+  normalizePageUrl,
+  sanitizeUrl
+} = require('../utils/helpers');
+const { InsufficientDataError, UnsafeUrlError } = require('../utils/errors');
+const { assertPublicUrl, isPrivateAddress, safeFetch } = require('../utils/network-guard');
+const {
+  collectPageLinks,
+  extractStructuredData,
+  extractVisualIdentity,
+  extractPricingBlocks,
+  detectChallengeMarkers,
+  extractHeroCopy
+} = require('../utils/page-extractors');
+const { classifyPage, isUsablePage } = require('../utils/page-classifier');
+const { diffHeroCopy } = require('../utils/device-diff');
+const { normalizeStructuredData } = require('../utils/structured-data');
+const { normalizeVisualIdentity } = require('../utils/visual-identity');
+const { isPricingUrl, parsePricing } = require('../utils/pricing');
+const { shingle, signature, MinHashIndex } = require('../utils/minhash');
+const { stripBoilerplate } = require('../utils/boilerplate');
+const { CONSENT_ACCEPT_SELECTORS, CONSENT_ACCEPT_LABEL, CONSENT_CONTAINER_SELECTOR } = require('../utils/consent');
+
+/**
+ * Fallback paths tried when sitemaps yield too few pages
+ */
+const COMMON_PATHS = [
+  '/',
+  '/about',
+  '/about-us',
+  '/company',
+  '/our-story',
+  '/products',
+  '/services',
+  '/solutions',
+  '/features',
+  '/pricing',
+  '/plans',
+  '/how-it-works',
+  '/mission',
+  '/vision',
+  '/values',
+  '/team',
+  '/careers',
+  '/blog',
+  '/news',
+  '/press',
+  '/contact',
+  '/faq',
+  '/help'
+];
+
+/**
+ * Path patterns that usually hold brand content, with ranking weights
+ */
+const BRAND_PATH_WEIGHTS = [
+  { pattern: /(about|our-story|story|company|who-we-are|mission|vision|values|manifesto)/, weight: 10 },
+  { pattern: /(products?|solutions?|platform|features?|services?|how-it-works|why)/, weight: 8 },
+  { pattern: /(pricing|plans)/, weight: 7 },
+  { pattern: /(customers|case-stud|testimonials|reviews)/, weight: 5 },
+  { pattern: /(faq|help|support)/, weight: 3 },
+  { pattern: /(team|careers|press|news|contact)/, weight: 2 }
+];
+
+const LOW_VALUE_PATH = /(privacy|terms|legal|cookie|login|sign-?in|sign-?up|register|cart|checkout|account|search|tags?\/|author\/|page\/\d+|feed)/;
+const ARTICLE_PATH = /^(blog|news|articles?|posts?|stories)\//;
+const NON_HTML_EXTENSION = /\.(pdf|jpe?g|png|gif|webp|svg|zip|xml|json|txt|mp4|mp3|css|js)$/;
+const LOCALE_SEGMENT = /^[a-z]{2}([-_][a-z]{2})?$/;
+
+const STABILITY_POLL_MS = 250;
+const SCROLL_SETTLE_MS = 400;
 
 /**
  * Web scraping service with Playwright
@@ -13,62 +92,200 @@ class ScraperService {
   /**
    * Scrape a website (main orchestrator)
    * @param {string} url - Website URL
+   * @param {Object} options - Scrape options
+   * @param {Object} options.crawl - Crawl settings; enables link-graph crawling instead of discovery
+   * @param {string} options.priority - Browser pool lane for the pages (high, normal or low)
+   * @param {AbortSignal} options.signal - Stops waiting for browsers, and the scrape at the next batch
+   * @param {Array} options.devices - Device profiles to render (desktop, mobile); pages are
+   *   always analyzed from the desktop render, and adding mobile renders every page in both
+   *   and records a headline/CTA diff per page
+   * @param {Array} options.locales - Locales (like de-DE) to render every page in as well;
+   *   their pages are returned per locale in localePages
    * @returns {Promise<Object>} - Scraped data
    */
-  async scrapeWebsite(url) {
+  async scrapeWebsite(url, options = {}) {
+    const mobile = (options.devices || []).includes('mobile');
+    const locales = options.locales || [];
+    const pageOptions = {
+      priority: options.priority,
+      signal: options.signal,
+      // The diff needs both sides rendered, so desktop skips the HTTP engine too
+      ...(mobile && { mobile: true, engine: 'browser' }),
+      ...(locales.length && { locales })
+    };
     const sanitized = sanitizeUrl(url);
     const domain = extractDomain(sanitized);
     const startPerformance = Date.now();
+    const crawlOptions = this.resolveCrawlOptions(options.crawl);
+    const manifestKey = crawlOptions
+      ? `manifest:crawl:${JSON.stringify(crawlOptions)}:${sanitized}`
+      : `manifest:${sanitized}`;
 
-    logger.info({ url: sanitized, domain }, 'Starting website scrape');
+    logger.info({ url: sanitized, domain, crawl: Boolean(crawlOptions), mobile, locales }, 'Starting website scrape');
 
-    // Check cache first
-    const cached = await cacheService.getScrapedContent(sanitized);
-    if (cached) {
-      logger.info({ url: sanitized, source: 'cache' }, 'Using cached scraping result');
-      return cached;
-    }
+    await assertPublicUrl(sanitized);
 
     try {
-      // Discover candidate URLs
-      const candidateUrls = await this.discoverPages(sanitized);
-      logger.debug({ count: candidateUrls.length }, 'Discovered candidate URLs');
+      let pages;
+      let sourceMetadata;
 
-      // Validate URLs (parallel HEAD requests)
-      const validUrls = await this.validateUrls(candidateUrls);
-      logger.debug({ count: validUrls.length }, 'Validated URLs');
+      // The site cache only holds the page list; page content comes from the page cache.
+      // Replays take both from the snapshot bundle instead.
+      const manifest = snapshotService.isReplaying()
+        ? await snapshotService.getManifest(domain, manifestKey)
+        : await cacheService.getScrapedContent(manifestKey);
 
-      if (validUrls.length === 0) {
-        throw new InsufficientDataError('No accessible pages found');
+      if (!manifest && snapshotService.isReplaying()) {
+        throw new InsufficientDataError('No snapshot recorded for this URL and crawl settings', { url: sanitized });
       }
 
-      // Scrape pages in parallel
-      const pages = await this.scrapePages(validUrls);
-      logger.debug({ count: pages.length }, 'Scraped pages');
+      if (manifest) {
+        logger.info({ url: sanitized, source: 'cache', pages: manifest.pages.length }, 'Using cached site manifest');
+        const cached = await this.scrapeManifest(manifest, pageOptions);
+        pages = cached.pages;
+
+        if (pages.length === 0) {
+          throw new InsufficientDataError('No accessible pages found');
+        }
+
+        sourceMetadata = cached.blocked.length > 0
+          ? {
+            ...manifest.sourceMetadata,
+            blockedUrls: [...(manifest.sourceMetadata?.blockedUrls || []), ...cached.blocked]
+          }
+          : manifest.sourceMetadata;
+      } else if (crawlOptions) {
+        // Breadth-first crawl of the homepage link graph
+        const crawl = await this.crawlSite(sanitized, crawlOptions, pageOptions);
+        pages = crawl.pages;
+        logger.debug({ count: pages.length, queued: crawl.queued }, 'Crawled pages');
+
+        if (pages.length === 0) {
+          throw new InsufficientDataError('No accessible pages found');
+        }
+
+        sourceMetadata = {
+          totalCandidates: crawl.queued,
+          discoverySources: ['crawl'],
+          crawl: crawlOptions,
+          blockedUrls: crawl.blocked
+        };
+      } else {
+        // Discover candidate URLs
+        const discovery = await this.discoverPages(sanitized);
+        const candidateUrls = discovery.urls;
+        logger.debug({ count: candidateUrls.length, sources: discovery.sources }, 'Discovered candidate URLs');
+
+        // Validate URLs (parallel HEAD requests)
+        const validation = await this.validateUrls(candidateUrls);
+        const validUrls = validation.valid;
+        logger.debug({ count: validUrls.length }, 'Validated URLs');
+
+        if (validUrls.length === 0) {
+          throw new InsufficientDataError('No accessible pages found');
+        }
+
+        // Scrape pages in parallel
+        pages = await this.scrapePages(validUrls, pageOptions);
+        logger.debug({ count: pages.length }, 'Scraped pages');
+
+        sourceMetadata = {
+          totalCandidates: candidateUrls.length,
+          discoverySources: discovery.sources,
+          sitemaps: discovery.sitemaps,
+          validUrls: validUrls.length,
+          blockedUrls: validation.blocked
+        };
+      }
+
+      // Renders cut short by the abort come back empty; don't analyze what's left
+      options.signal?.throwIfAborted();
+
+      // Block pages, captchas and error pages never reach analysis
+      const pageStatuses = pages.map(page => ({
+        url: page.url,
+        status: page.status || 'ok',
+        ...(page.statusReason && { reason: page.statusReason })
+      }));
+      const usablePages = pages.filter(isUsablePage);
+
+      if (usablePages.length === 0) {
+        throw new InsufficientDataError('No usable pages: every page was blocked, a captcha, empty or an error page', {
+          pageStatuses
+        });
+      }
+
+      // Replayed content is old and must not overwrite the domain's change history
+      const changes = snapshotService.isReplaying()
+        ? null
+        : await this.detectChanges(domain, usablePages, this.discoveryKey(crawlOptions));
+
+      // Remove text repeated across the site (consent notices, CTA strips, newsletter forms)
+      const { pages: cleanedPages, boilerplate } = stripBoilerplate(usablePages, config.scraping.boilerplate);
 
       // Deduplicate similar content
-      const uniquePages = this.deduplicateContent(pages);
-      logger.debug({ count: uniquePages.length }, 'Unique pages after deduplication');
+      const { unique: uniquePages, duplicates } = this.deduplicateContent(cleanedPages);
+      logger.debug({ count: uniquePages.length, duplicates: duplicates.length }, 'Unique pages after deduplication');
+
+      const localePages = this.collectLocalePages(usablePages, locales);
 
       const duration = Date.now() - startPerformance;
       recordScraping(domain, duration);
 
       const result = {
         pages: uniquePages,
+        ...(locales.length && { localePages }),
+        visualIdentity: usablePages.find(p => p.visualIdentity)?.visualIdentity || null,
+        pricing: this.collectPricing(usablePages),
+        siteBoilerplate: boilerplate,
         metadata: {
           url: sanitized,
           domain,
-          totalCandidates: candidateUrls.length,
-          validUrls: validUrls.length,
+          ...sourceMetadata,
           scrapedPages: pages.length,
+          pageStatuses,
           uniquePages: uniquePages.length,
+          duplicates,
+          devices: mobile ? ['desktop', 'mobile'] : ['desktop'],
+          ...(locales.length && {
+            locales: locales.map(locale => ({
+              locale,
+              pages: localePages[locale].length,
+              excluded: usablePages.length - localePages[locale].length
+            }))
+          }),
+          ...(mobile && {
+            deviceDiffs: usablePages
+              .filter(page => page.deviceDiff)
+              .map(page => ({ url: page.url, ...page.deviceDiff }))
+          }),
+          engines: this.countEngines(pages),
+          pageCache: {
+            hits: pages.filter(p => p.fromCache).length,
+            revalidated: pages.filter(p => p.revalidated).length,
+            fetched: pages.filter(p => !p.fromCache && !p.revalidated).length
+          },
+          changes,
+          ...(config.scraping.snapshot.mode !== 'live' && {
+            snapshot: {
+              mode: config.scraping.snapshot.mode,
+              recordedAt: snapshotService.isReplaying() ? manifest.recordedAt : new Date().toISOString()
+            }
+          }),
           durationMs: duration,
           scrapedAt: new Date().toISOString()
         }
       };
 
-      // Cache the result
-      await cacheService.cacheScrapedContent(sanitized, result);
+      const pageList = pages.map(({ url: pageUrl, depth, parentUrl }) => ({ url: pageUrl, depth, parentUrl }));
+
+      if (!manifest) {
+        await cacheService.cacheScrapedContent(manifestKey, { pages: pageList, sourceMetadata });
+      }
+
+      if (snapshotService.isRecording()) {
+        await snapshotService.recordManifest(domain, manifestKey, { pages: pageList, sourceMetadata });
+      }
 
       logger.info({ domain, duration, pages: uniquePages.length }, 'Website scrape completed');
       return result;
@@ -79,56 +296,297 @@ class ScraperService {
   }
 
   /**
-   * Discover pages to scrape
+   * Load the pages listed in a cached site manifest
+   * robots.txt is checked again, since it may have changed after the manifest
+   * was cached; replays fetch nothing and skip the check.
+   * @param {Object} manifest - { pages: [{ url, depth, parentUrl }], sourceMetadata }
+   * @param {Object} pageOptions - Page options (see scrapePage)
+   * @returns {Promise<Object>} - { pages, blocked } with pages from the page cache where still
+   *   fresh and the listed URLs robots.txt now disallows
+   */
+  async scrapeManifest(manifest, pageOptions = {}) {
+    const entries = [];
+    const blocked = [];
+
+    for (const entry of manifest.pages) {
+      const robots = snapshotService.isReplaying()
+        ? { allowed: true }
+        : await robotsService.isAllowed(entry.url);
+      if (robots.allowed) {
+        entries.push(entry);
+      } else {
+        blocked.push({ url: entry.url, reason: 'robots.txt', rule: robots.rule });
+      }
+    }
+
+    if (blocked.length > 0) {
+      logger.info({ count: blocked.length }, 'Cached manifest URLs now blocked by robots.txt');
+    }
+
+    const pages = await this.fetchPages(entries.map(entry => entry.url), pageOptions);
+
+    return {
+      pages: pages
+        .map((page, index) => {
+          if (!page) return null;
+          const { depth, parentUrl } = entries[index];
+          return depth === undefined ? page : { ...page, depth, parentUrl };
+        })
+        .filter(Boolean),
+      blocked
+    };
+  }
+
+  /**
+   * Merge per-request crawl settings with configured defaults
+   * @param {Object} crawl - Requested crawl settings (undefined to use config)
+   * @returns {Object|null} - Crawl settings, or null when crawling is disabled
+   */
+  resolveCrawlOptions(crawl) {
+    const defaults = config.scraping.crawl;
+    const enabled = crawl?.enabled ?? (crawl ? true : defaults.enabled);
+
+    if (!enabled) {
+      return null;
+    }
+
+    return {
+      maxDepth: crawl?.maxDepth ?? defaults.maxDepth,
+      maxPages: crawl?.maxPages ?? defaults.maxPages,
+      include: crawl?.include ?? defaults.include,
+      exclude: crawl?.exclude ?? defaults.exclude
+    };
+  }
+
+  /**
+   * Crawl same-domain links breadth-first starting from the homepage
+   * Links are only followed from pages classified as ok.
+   * @param {string} startUrl - Homepage URL
+   * @param {Object} options - Crawl settings
+   * @param {number} options.maxDepth - Maximum link depth from the homepage
+   * @param {number} options.maxPages - Page budget
+   * @param {Array} options.include - Path globs a link must match (empty = all)
+   * @param {Array} options.exclude - Path globs that skip a link
+   * @param {Object} pageOptions - Page options (see scrapePage)
+   * @returns {Promise<Object>} - { pages, queued, blocked }
+   */
+  async crawlSite(startUrl, options, pageOptions = {}) {
+    const { maxDepth, maxPages } = options;
+    const concurrency = config.scraping.concurrency;
+    const domain = extractDomain(startUrl);
+    const include = options.include.map(globToRegExp);
+    const exclude = options.exclude.map(globToRegExp);
+
+    const seen = new Set([this.normalizeLink(startUrl)]);
+    const pages = [];
+    const blocked = [];
+    let frontier = [{ url: startUrl, depth: 0, parentUrl: null }];
+
+    const seedRobots = await robotsService.isAllowed(startUrl);
+    if (!seedRobots.allowed) {
+      blocked.push({ url: startUrl, reason: 'robots.txt', rule: seedRobots.rule });
+      frontier = [];
+    }
+
+    while (frontier.length > 0 && pages.length < maxPages) {
+      const next = [];
+
+      for (let i = 0; i < frontier.length && pages.length < maxPages; i += concurrency) {
+        const batch = frontier.slice(i, i + Math.min(concurrency, maxPages - pages.length));
+        const results = await this.fetchPages(batch.map(item => item.url), { ...pageOptions, collectLinks: true });
+
+        for (const [index, page] of results.entries()) {
+          if (!page) continue;
+
+          const { depth, parentUrl } = batch[index];
+          const { links, ...pageData } = page;
+          pages.push({ ...pageData, depth, parentUrl });
+
+          // Block pages, captchas, error pages and offsite redirects don't link into the site
+          if (depth >= maxDepth || !isUsablePage(page)) continue;
+
+          for (const link of links) {
+            const normalized = this.normalizeLink(link);
+            if (!normalized || seen.has(normalized)) continue;
+            if (extractDomain(normalized) !== domain) continue;
+
+            const { pathname } = new URL(normalized);
+            if (NON_HTML_EXTENSION.test(pathname.toLowerCase())) continue;
+            if (include.length > 0 && !include.some(pattern => pattern.test(pathname))) continue;
+            if (exclude.some(pattern => pattern.test(pathname))) continue;
+
+            seen.add(normalized);
+
+            const robots = await robotsService.isAllowed(normalized);
+            if (!robots.allowed) {
+              blocked.push({ url: normalized, reason: 'robots.txt', rule: robots.rule });
+              continue;
+            }
+
+            next.push({ url: normalized, depth: depth + 1, parentUrl: page.url });
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    return {
+      pages,
+      queued: seen.size,
+      blocked
+    };
+  }
+
+  /**
+   * Normalize a crawled link for de-duplication
+   * @param {string} link - Absolute link
+   * @returns {string|null} - Normalized URL or null if not crawlable
+   */
+  normalizeLink(link) {
+    try {
+      const parsed = new URL(link);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+      parsed.hash = '';
+      return parsed.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Discover pages to scrape from robots.txt sitemaps, falling back to common paths
    * @param {string} baseUrl - Base website URL
-   * @returns {Promise<Array>} - List of URLs to scrape
+   * @returns {Promise<Object>} - { urls, sources, sitemaps }
    */
   async discoverPages(baseUrl) {
     const domain = extractDomain(baseUrl);
-    const protocol = baseUrl.startsWith('https') ? 'https' : 'http';
-    const baseWithoutProtocol = `${protocol}://${domain}`;
-
-    const commonPaths = [
-      '/',
-      '/about',
-      '/about-us',
-      '/company',
-      '/our-story',
-      '/products',
-      '/services',
-      '/solutions',
-      '/features',
-      '/how-it-works',
-      '/mission',
-      '/vision',
-      '/values',
-      '/team',
-      '/careers',
-      '/blog',
-      '/news',
-      '/press',
-      '/contact',
-      '/faq',
-      '/help'
-    ];
-
-    const urls = commonPaths.map(path => `${baseWithoutProtocol}${path}`);
-    return [...new Set(urls)]; // Remove duplicates
-  }
-
-  /**
-   * Validate which URLs are accessible
+    const origin = new URL(baseUrl).origin;
+    const maxUrls = config.scraping.discovery.maxUrls;
+    const sources = [];
+
+    // robots.txt Sitemap: entries, or the conventional location
+    const robots = await robotsService.getRobots(origin);
+    let sitemapEntries = robots.sitemaps;
+    if (robots.found) {
+      sources.push('robots.txt');
+    }
+    if (sitemapEntries.length === 0) {
+      sitemapEntries = [`${origin}/sitemap.xml`];
+    }
+
+    const sitemapResult = await sitemapService.collectUrls(sitemapEntries);
+    const sitemapUrls = sitemapResult.urls.filter(url => extractDomain(url) === domain);
+    if (sitemapUrls.length > 0) {
+      sources.push('sitemap');
+    }
+
+    const ranked = this.rankUrls([`${origin}/`, ...sitemapUrls]);
+    const urls = ranked.slice(0, maxUrls);
+
+    // Fill remaining slots with common paths
+    if (urls.length < maxUrls) {
+      const fallback = COMMON_PATHS
+        .map(path => `${origin}${path}`)
+        .filter(url => !urls.includes(url));
+      urls.push(...fallback.slice(0, maxUrls - urls.length));
+      sources.push('common_paths');
+    }
+
+    return {
+      urls: [...new Set(urls)],
+      sources,
+      sitemaps: sitemapResult.sitemaps
+    };
+  }
+
+  /**
+   * Rank URLs by how likely they are to hold brand content
+   * @param {Array} urls - Candidate URLs
+   * @returns {Array} - Unique URLs, best first
+   */
+  rankUrls(urls) {
+    const scored = new Map();
+
+    for (const url of urls) {
+      let normalized;
+      try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.search = '';
+        normalized = parsed.toString();
+      } catch (error) {
+        continue;
+      }
+
+      const score = this.scoreUrl(normalized);
+      if (score === null || scored.has(normalized)) continue;
+      scored.set(normalized, score);
+    }
+
+    return [...scored.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+      .map(([url]) => url);
+  }
+
+  /**
+   * Score a URL for brand relevance
+   * @param {string} url - URL to score
+   * @returns {number|null} - Score, or null if the URL should be skipped
+   */
+  scoreUrl(url) {
+    const { pathname } = new URL(url);
+    const path = pathname.toLowerCase();
+
+    if (NON_HTML_EXTENSION.test(path)) return null;
+
+    // Locale prefixes like /en-us/ or /de/ don't change what a page is about
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length > 0 && LOCALE_SEGMENT.test(segments[0])) {
+      segments.shift();
+    }
+
+    if (segments.length === 0) return 100;
+
+    const joined = segments.join('/');
+    let score = 0;
+
+    for (const { pattern, weight } of BRAND_PATH_WEIGHTS) {
+      if (pattern.test(joined)) {
+        score = Math.max(score, weight);
+      }
+    }
+
+    if (LOW_VALUE_PATH.test(joined)) score -= 10;
+    if (ARTICLE_PATH.test(joined) && segments.length > 1) score -= 4;
+
+    // Prefer shallow pages
+    score -= segments.length - 1;
+
+    return score;
+  }
+
+  /**
+   * Validate which URLs are accessible and allowed by robots.txt
    * @param {Array} urls - URLs to validate
-   * @returns {Promise<Array>} - Valid URLs
+   * @returns {Promise<Object>} - { valid, blocked } where blocked lists robots.txt refusals
    */
   async validateUrls(urls) {
+    const blocked = [];
+
     const validationPromises = urls.map(async url => {
       try {
-        const response = await fetch(url, {
+        const robots = await robotsService.isAllowed(url);
+        if (!robots.allowed) {
+          blocked.push({ url, reason: 'robots.txt', rule: robots.rule });
+          return null;
+        }
+
+        const response = await politenessService.schedule(url, () => safeFetch(url, {
           method: 'HEAD',
           redirect: 'follow',
           signal: AbortSignal.timeout(5000)
-        });
+        }));
         return response.ok ? url : null;
       } catch (error) {
         return null;
@@ -136,59 +594,432 @@ class ScraperService {
     });
 
     const results = await Promise.all(validationPromises);
-    return results.filter(url => url !== null);
+
+    if (blocked.length > 0) {
+      logger.info({ count: blocked.length }, 'URLs blocked by robots.txt');
+    }
+
+    return {
+      valid: results.filter(url => url !== null),
+      blocked
+    };
   }
 
   /**
    * Scrape multiple pages in parallel
    * @param {Array} urls - URLs to scrape
+   * @param {Object} options - Page options (see scrapePage)
    * @returns {Promise<Array>} - Scraped pages
    */
-  async scrapePages(urls) {
+  async scrapePages(urls, options = {}) {
+    const pages = await this.fetchPages(urls, options);
+    return pages.filter(p => p !== null);
+  }
+
+  /**
+   * Get pages from the page cache, scraping only missing or expired ones
+   * Expired pages with ETag/Last-Modified are revalidated first and only
+   * re-scraped when the server reports a change. Recording skips the cache so
+   * every page in the bundle has its HTML; replaying reads only the bundle.
+   * @param {Array} urls - Page URLs
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {Promise<Array>} - Page or null for each URL, in order
+   */
+  async fetchPages(urls, options = {}) {
+    if (snapshotService.isReplaying()) {
+      const replayed = await Promise.all(urls.map(url => snapshotService.getPage(url)));
+      return replayed.map(page => {
+        if (!page || options.collectLinks) return page;
+        const { links, ...pageData } = page;
+        return pageData;
+      });
+    }
+
     const concurrency = config.scraping.concurrency;
-    const pages = [];
+    const recording = snapshotService.isRecording();
+    const cached = recording ? new Map() : await cacheService.getPages(urls);
+    const results = new Array(urls.length).fill(null);
+    const missing = [];
 
-    for (let i = 0; i < urls.length; i += concurrency) {
-      const batch = urls.slice(i, i + concurrency);
+    urls.forEach((url, index) => {
+      const page = cached.get(normalizePageUrl(url));
+      if (this.isReusable(page, options)) {
+        results[index] = { ...page, url, fromCache: true };
+      } else {
+        missing.push(index);
+      }
+    });
+
+    const stale = recording ? new Map() : await cacheService.getStalePages(missing.map(index => urls[index]));
+
+    for (let i = 0; i < missing.length; i += concurrency) {
+      options.signal?.throwIfAborted();
+      const batch = missing.slice(i, i + concurrency);
       const batchResults = await Promise.all(
-        batch.map(url => this.scrapePage(url))
+        batch.map(index => this.refreshPage(urls[index], stale.get(normalizePageUrl(urls[index])), options))
       );
-      pages.push(...batchResults.filter(p => p !== null));
+
+      const fetched = [];
+      batchResults.forEach((page, position) => {
+        if (!page) return;
+        const withHash = { ...page, contentHash: page.contentHash || hashContent(page.content) };
+        results[batch[position]] = withHash;
+
+        // Block and error pages are retried on the next scrape instead
+        if (!isUsablePage(withHash)) return;
+
+        const { revalidated, ...record } = withHash;
+        fetched.push(record);
+      });
+
+      // Revalidated pages are stored again to extend their expiry
+      await cacheService.cachePages(fetched);
     }
 
-    return pages;
+    if (!options.collectLinks) {
+      return results.map(page => {
+        if (!page) return null;
+        const { links, ...pageData } = page;
+        return pageData;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a stored page has the default render a scrape with these options needs
+   * @param {Object} page - Cached or stale page
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {boolean}
+   */
+  hasDefaultRender(page, options = {}) {
+    if (!page) return false;
+    // Pages cached outside a crawl have no links to follow
+    if (options.collectLinks && !page.links) return false;
+    return !options.engine || page.engine === options.engine;
+  }
+
+  /**
+   * Check whether a stored page has everything a scrape with these options needs,
+   * including its mobile and locale renders
+   * @param {Object} page - Cached or stale page
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {boolean}
+   */
+  isReusable(page, options = {}) {
+    if (!this.hasDefaultRender(page, options)) return false;
+    if (options.locales && !options.locales.every(locale => page.localeVariants?.some(v => v.locale === locale))) {
+      return false;
+    }
+    return !options.mobile || Boolean(page.mobile);
   }
 
   /**
-   * Scrape a single page
+   * Reuse an expired page if the server says it has not changed, otherwise scrape it
+   * The conditional request goes out with default headers, so a 304 only vouches
+   * for the default render: mobile and locale renders, which the server may
+   * vary by user agent, language or region, are rendered again.
    * @param {string} url - Page URL
+   * @param {Object} stalePage - Expired cache entry, if any
+   * @param {Object} options - Page options (see scrapePage)
    * @returns {Promise<Object|null>} - Page data
    */
-  async scrapePage(url) {
+  async refreshPage(url, stalePage, options = {}) {
+    if (this.hasDefaultRender(stalePage, options) && (stalePage.etag || stalePage.lastModified)) {
+      const unchanged = await politenessService.schedule(url, () =>
+        httpScraperService.isUnchanged(url, stalePage)
+      );
+      if (unchanged) {
+        logger.debug({ url }, 'Page not modified since last scrape');
+        const { mobile, deviceDiff, localeVariants, ...defaultRender } = stalePage;
+        return this.renderVariants(url, { ...defaultRender, url, revalidated: true }, options);
+      }
+    }
+
+    return this.scrapePage(url, options);
+  }
+
+  /**
+   * Scrape a single page, over plain HTTP when possible and with Playwright otherwise
+   * @param {string} url - Page URL
+   * @param {Object} options - Page options
+   * @param {boolean} options.collectLinks - Also return links found in nav, body and footer
+   * @param {string} options.priority - Browser pool lane (high, normal or low)
+   * @param {AbortSignal} options.signal - Stops waiting for a browser
+   * @param {string} options.engine - Force an engine instead of picking one per page
+   * @param {boolean} options.mobile - Also render the page on the mobile profile and diff its hero copy
+   * @param {Array} options.locales - Also render the page in each of these locales
+   * @returns {Promise<Object|null>} - Page data with the engine that produced it
+   */
+  async scrapePage(url, options = {}) {
+    const recording = snapshotService.isRecording();
+    const page = await this.extractPage(url, recording ? { ...options, captureResponse: true } : options);
+    if (!page) return null;
+
+    const { response, ...pageData } = page;
+    let classified = { ...pageData, ...classifyPage(pageData) };
+    if (classified.status !== 'ok') {
+      logger.info({ url, status: classified.status, reason: classified.statusReason }, 'Page excluded from analysis');
+    } else {
+      classified = await this.renderVariants(url, classified, options);
+    }
+
+    if (recording) {
+      await snapshotService.recordPage(classified, response);
+    }
+    return classified;
+  }
+
+  /**
+   * Add the mobile and locale renders a scrape asks for to a page's default render
+   * @param {string} url - Page URL
+   * @param {Object} page - Page with its default render
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {Promise<Object>} - Page with mobile/deviceDiff and localeVariants as requested
+   */
+  async renderVariants(url, page, options = {}) {
+    let result = page;
+    if (options.mobile && page.hero) {
+      result = { ...result, ...(await this.renderMobile(url, page.hero, options)) };
+    }
+    if (options.locales) {
+      result = { ...result, localeVariants: await this.renderLocales(url, options.locales, options) };
+    }
+    return result;
+  }
+
+  /**
+   * Render a page on the mobile profile and compare its hero copy with the desktop render
+   * @param {string} url - Page URL
+   * @param {Object} desktopHero - { headline, ctas } of the desktop render
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {Promise<Object>} - { mobile, deviceDiff }, or { deviceDiff: { error } } if the
+   *   mobile render failed, so the page isn't mistaken for one without differences
+   */
+  async renderMobile(url, desktopHero, options = {}) {
+    const { priority, signal } = options;
+    const page = await politenessService.schedule(url, () =>
+      this.renderPage(url, { priority, signal, device: 'mobile' })
+    );
+    if (!page?.hero) {
+      logger.warn({ url }, 'Mobile render failed; no device diff for this page');
+      return { deviceDiff: { error: 'mobile_render_failed' } };
+    }
+
+    const deviceDiff = diffHeroCopy(desktopHero, page.hero);
+    if (deviceDiff.changed) {
+      logger.debug({ url, headlineChanged: deviceDiff.headline.changed }, 'Mobile hero copy differs from desktop');
+    }
+
+    return {
+      mobile: {
+        device: config.scraping.mobileDevice,
+        title: page.title,
+        finalUrl: page.finalUrl,
+        hero: page.hero
+      },
+      deviceDiff
+    };
+  }
+
+  /**
+   * Render a page once per locale, one at a time so the host's politeness limits hold
+   * @param {string} url - Page URL
+   * @param {Array} locales - Locales like de-DE
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {Promise<Array>} - Classified variants ({ locale, title, content, hero, finalUrl, status, ... });
+   *   failed renders are left out
+   */
+  async renderLocales(url, locales, options = {}) {
+    const { priority, signal } = options;
+    const variants = [];
+
+    for (const locale of locales) {
+      const page = await politenessService.schedule(url, () =>
+        this.renderPage(url, { priority, signal, locale })
+      );
+      if (!page) continue;
+
+      const variant = {
+        url,
+        locale,
+        title: page.title,
+        content: page.content,
+        hero: page.hero,
+        finalUrl: page.finalUrl,
+        httpStatus: page.httpStatus,
+        ...(page.challengeMarkers && { challengeMarkers: page.challengeMarkers })
+      };
+      const { status, statusReason } = classifyPage(variant);
+      if (status !== 'ok') {
+        logger.info({ url, locale, status, reason: statusReason }, 'Locale variant excluded from analysis');
+      }
+      variants.push({ ...variant, status, statusReason });
+    }
+
+    return variants;
+  }
+
+  /**
+   * Group the usable locale variants of pages by locale, with site boilerplate removed per locale
+   * @param {Array} pages - Usable pages (with localeVariants)
+   * @param {Array} locales - Requested locales
+   * @returns {Object} - Pages by locale, each tagged with its locale
+   */
+  collectLocalePages(pages, locales) {
+    return Object.fromEntries(locales.map(locale => {
+      const variants = pages
+        .map(page => page.localeVariants?.find(variant => variant.locale === locale))
+        .filter(variant => variant && isUsablePage(variant));
+      return [locale, stripBoilerplate(variants, config.scraping.boilerplate).pages];
+    }));
+  }
+
+  /**
+   * Extract a single page with the engine chosen for it
+   * @param {string} url - Page URL
+   * @param {Object} options - Page options (see scrapePage)
+   * @param {boolean} options.captureResponse - Also return the raw response as `response` ({ html, status, headers, finalUrl })
+   * @returns {Promise<Object|null>} - Page data
+   */
+  async extractPage(url, options = {}) {
+    return politenessService.schedule(url, async () => {
+      let escalatedFrom = null;
+
+      if ((options.engine || this.selectEngine(url)) === 'http') {
+        const { page, reason } = await httpScraperService.fetchPage(url, options);
+        if (page) {
+          recordPageEngine('http');
+          return page;
+        }
+
+        if (config.scraping.engine.mode === 'http') {
+          logger.warn({ url, reason }, 'HTTP engine could not extract page');
+          return null;
+        }
+
+        escalatedFrom = reason;
+        logger.debug({ url, reason }, 'Escalating page to browser engine');
+      }
+
+      const page = await this.renderPage(url, options);
+      if (page) {
+        recordPageEngine('browser', escalatedFrom);
+      }
+      return page && escalatedFrom ? { ...page, escalatedFrom } : page;
+    });
+  }
+
+  /**
+   * Pick the engine to try first for a page
+   * The homepage always needs the browser for computed styles (visual identity).
+   * @param {string} url - Page URL
+   * @returns {string} - http or browser
+   */
+  selectEngine(url) {
+    const { mode } = config.scraping.engine;
+    if (mode === 'browser') return 'browser';
+    if (mode === 'http') return 'http';
+
+    return new URL(url).pathname === '/' ? 'browser' : 'http';
+  }
+
+  /**
+   * Render and extract a single page with Playwright
+   * @param {string} url - Page URL
+   * @param {Object} options - Page options (see scrapePage)
+   * @param {string} options.device - Device profile of the browser context (desktop or mobile)
+   * @param {string} options.locale - Locale of the browser context; the page is tagged with it
+   * @returns {Promise<Object|null>} - Page data
+   */
+  async renderPage(url, options = {}) {
     let browserObj = null;
     let context = null;
 
     try {
-      browserObj = await browserPool.getBrowser();
-      context = await browserPool.getContext(browserObj);
+      // Mobile and locale renders are not kept as evidence
+      const wantsScreenshot = config.scraping.screenshots.enabled && !options.device && !options.locale;
+
+      browserObj = await browserPool.getBrowser({ priority: options.priority, signal: options.signal });
+      // Screenshots need images and fonts to be useful as evidence; other renders keep blocking them
+      context = await browserPool.getContext(browserObj, {
+        allowResourceTypes: wantsScreenshot ? ['image', 'font'] : [],
+        device: options.device,
+        locale: options.locale
+      });
       const page = await context.newPage();
 
-      await page.goto(url, {
-        waitUntil: 'networkidle',
+      // PAGE_LOAD_TIMEOUT caps navigation and every wait stage together
+      const loadStart = Date.now();
+      const response = await page.goto(url, {
+        waitUntil: 'domcontentloaded',
         timeout: config.scraping.pageLoadTimeout
       });
+      const interception = browserPool.interceptionMode(context);
+      recordPageLoad(Date.now() - loadStart, interception, 'domcontentloaded');
+
+      // Blocked resources show in the load event; it is timed alongside the waits below,
+      // within what is left of the page load budget
+      const loadEvent = page.waitForLoadState('load', {
+        timeout: Math.max(1, loadStart + config.scraping.pageLoadTimeout - Date.now())
+      }).then(() => recordPageLoad(Date.now() - loadStart, interception, 'load'), () => {});
+
+      // Hops are checked before they are requested (see BrowserPool.fulfillNavigation); check again where navigation ended up
+      await this.assertSafeNavigation(response, page);
+
+      const waitStart = Date.now();
+      const wait = await this.waitForContent(page, loadStart + config.scraping.pageLoadTimeout);
+      recordWaitStrategy(wait.strategy, wait.capped, Date.now() - waitStart);
+      await loadEvent;
+
+      // Get consent dialogs out of the way of the screenshot and the text
+      const consentDismissed = await this.dismissConsent(page);
+
+      const markers = await page.evaluate(detectChallengeMarkers);
+
+      // Rendered HTML before the DOM is modified below
+      const captured = options.captureResponse && {
+        html: await page.content(),
+        status: response?.status() || null,
+        headers: response?.headers() || {},
+        finalUrl: page.url()
+      };
+
+      // Screenshot before the DOM is modified below
+      const screenshot = wantsScreenshot ? await this.captureScreenshot(page, url) : null;
+
+      // Headline and CTAs as laid out for this viewport, before header and nav are stripped
+      const hero = await page.evaluate(extractHeroCopy);
+
+      // Collect links before nav/header/footer are stripped below
+      const links = options.collectLinks ? await page.evaluate(collectPageLinks) : undefined;
+
+      // Extract meta tags, OpenGraph and JSON-LD before scripts are stripped
+      const structured = normalizeStructuredData(await page.evaluate(extractStructuredData), url);
+
+      // Visual identity comes from the homepage, while header and buttons are still in the DOM
+      const visualIdentity = new URL(url).pathname === '/'
+        ? normalizeVisualIdentity(await page.evaluate(extractVisualIdentity), url)
+        : undefined;
+
+      // Plan cards and tables on pricing-like pages
+      const pricing = isPricingUrl(url)
+        ? parsePricing(await page.evaluate(extractPricingBlocks))
+        : undefined;
 
       // Extract text content
-      const textContent = await page.evaluate(() => {
+      const textContent = await page.evaluate(consentSelector => {
         // Remove script, style, and other non-content elements
-        const elementsToRemove = document.querySelectorAll('script, style, nav, footer, header');
+        const elementsToRemove = document.querySelectorAll(`script, style, nav, footer, header, ${consentSelector}`);
         elementsToRemove.forEach(el => el.remove());
 
         return document.body.innerText || '';
-      });
+      }, CONSENT_CONTAINER_SELECTOR);
 
       // Extract title
       const title = await page.title();
+      const finalUrl = page.url();
 
       await page.close();
 
@@ -196,7 +1027,24 @@ class ScraperService {
         url,
         title,
         content: textContent.trim(),
-        scrapedAt: new Date().toISOString()
+        structured,
+        engine: 'browser',
+        ...(options.locale && { locale: options.locale }),
+        hero,
+        httpStatus: response?.status() || null,
+        finalUrl,
+        ...((markers.captcha.length || markers.challenge.length) && { challengeMarkers: markers }),
+        wait,
+        ...(consentDismissed && { consentDismissed }),
+        etag: response?.headers().etag || null,
+        lastModified: response?.headers()['last-modified'] || null,
+        scrapedAt: new Date().toISOString(),
+        ...(visualIdentity && { visualIdentity }),
+        ...(pricing?.length && { pricing }),
+        ...(screenshot && { screenshot }),
+        ...(wantsScreenshot && !screenshot && { screenshot: null, screenshotSkipped: 'capture_failed' }),
+        ...(links && { links }),
+        ...(captured && { response: captured })
       };
     } catch (error) {
       logger.warn({ err: error, url }, 'Failed to scrape page');
@@ -204,43 +1052,348 @@ class ScraperService {
     } finally {
       if (context && browserObj) {
         await browserPool.releaseContext(context, browserObj);
+      } else if (browserObj) {
+        browserPool.releaseBrowser(browserObj);
+      }
+    }
+  }
+
+  /**
+   * Identify how a scrape finds its pages, so change detection compares like with like
+   * A crawl and sitemap discovery, or crawls with different settings, find
+   * different page sets; comparing them would report pages as added or removed
+   * that only one of them found.
+   * @param {Object|null} crawlOptions - Crawl settings, or null for discovery
+   * @returns {string} - "discovery", or "crawl:" plus a hash of the settings
+   */
+  discoveryKey(crawlOptions) {
+    return crawlOptions ? `crawl:${hashContent(JSON.stringify(crawlOptions)).slice(0, 16)}` : 'discovery';
+  }
+
+  /**
+   * Compare scraped pages with the last scrape of the domain that found its pages
+   * the same way, and save the new snapshot
+   * @param {string} domain - Domain
+   * @param {Array} pages - Scraped pages (with contentHash)
+   * @param {string} discoveryKey - How the pages were found (see discoveryKey)
+   * @returns {Promise<Object>} - { discovery, previousScrapedAt, unchanged, modified, added, removed } with URL lists
+   */
+  async detectChanges(domain, pages, discoveryKey) {
+    const snapshot = await cacheService.getSiteSnapshot(domain, discoveryKey);
+    const previous = new Map((snapshot?.pages || []).map(entry => [entry.url, entry.contentHash]));
+    const current = new Map(pages.map(page => [normalizePageUrl(page.url), page.contentHash]));
+
+    const changes = {
+      discovery: discoveryKey,
+      previousScrapedAt: snapshot?.scraped_at || null,
+      unchanged: [],
+      modified: [],
+      added: [],
+      removed: [...previous.keys()].filter(url => !current.has(url))
+    };
+
+    for (const [url, contentHash] of current) {
+      if (!previous.has(url)) {
+        changes.added.push(url);
+      } else if (previous.get(url) === contentHash) {
+        changes.unchanged.push(url);
+      } else {
+        changes.modified.push(url);
       }
     }
+
+    await cacheService.saveSiteSnapshot(
+      domain,
+      discoveryKey,
+      [...current].map(([url, contentHash]) => ({ url, contentHash }))
+    );
+
+    if (snapshot) {
+      logger.info({
+        domain,
+        discovery: discoveryKey,
+        unchanged: changes.unchanged.length,
+        modified: changes.modified.length,
+        added: changes.added.length,
+        removed: changes.removed.length
+      }, 'Site changes since last scrape');
+    }
+
+    return changes;
   }
 
   /**
-   * Deduplicate scraped content using Jaccard similarity
+   * Count pages per engine
    * @param {Array} pages - Scraped pages
-   * @returns {Array} - Unique pages
+   * @returns {Object} - { http, browser, escalated }
    */
-  deduplicateContent(pages) {
-    if (pages.length === 0) return [];
+  countEngines(pages) {
+    return {
+      http: pages.filter(p => p.engine === 'http').length,
+      browser: pages.filter(p => p.engine === 'browser').length,
+      escalated: pages.filter(p => p.escalatedFrom).length
+    };
+  }
+
+  /**
+   * Check every hop of a navigation's redirect chain and the address that served it
+   * @param {Object} response - Playwright response of the main navigation
+   * @param {Object} page - Playwright page
+   * @returns {Promise<void>}
+   * @throws {UnsafeUrlError}
+   */
+  async assertSafeNavigation(response, page) {
+    const urls = [page.url()];
+    for (let request = response?.request(); request; request = request.redirectedFrom()) {
+      urls.push(request.url());
+    }
+
+    for (const url of new Set(urls)) {
+      await assertPublicUrl(url);
+    }
+
+    const server = await response?.serverAddr();
+    if (server && !config.security.allowPrivateNetworks && isPrivateAddress(server.ipAddress)) {
+      throw new UnsafeUrlError('Page was served from a non-public address', { url: page.url(), address: server.ipAddress });
+    }
+  }
 
-    const unique = [pages[0]];
-    const threshold = 0.8; // 80% similarity threshold
+  /**
+   * Wait for a page's content in stages: DOMContentLoaded, then until the text
+   * stops changing, then scrolled to the bottom to trigger lazy loading
+   * All stages share one deadline, so pages that never go network-idle or
+   * scroll forever are still read.
+   * @param {Object} page - Playwright page after a domcontentloaded navigation
+   * @param {number} deadline - Timestamp after which waiting stops
+   * @returns {Promise<Object>} - { strategy, capped, stages: [{ stage, textLength, ms }] } where
+   *   strategy is the last stage that added text
+   */
+  async waitForContent(page, deadline) {
+    const { stableMs, maxScrolls } = config.scraping.waits;
+    const start = Date.now();
+    const stages = [];
 
-    for (let i = 1; i < pages.length; i++) {
-      const currentPage = pages[i];
-      const currentWords = new Set(currentPage.content.toLowerCase().split(/\s+/));
+    const record = async stage => {
+      stages.push({ stage, textLength: await this.readTextLength(page), ms: Date.now() - start });
+    };
 
-      let isDuplicate = false;
+    await record('domcontentloaded');
 
-      for (const uniquePage of unique) {
-        const uniqueWords = new Set(uniquePage.content.toLowerCase().split(/\s+/));
-        const similarity = jaccardSimilarity(currentWords, uniqueWords);
+    await this.waitForStableText(page, deadline, stableMs);
+    await record('stable');
+
+    if (Date.now() < deadline) {
+      await this.autoScroll(page, deadline, maxScrolls);
+      await this.waitForStableText(page, deadline, stableMs);
+      await record('scroll');
+    }
+
+    let strategy = stages[0].stage;
+    for (let i = 1; i < stages.length; i++) {
+      if (stages[i].textLength > stages[i - 1].textLength) {
+        strategy = stages[i].stage;
+      }
+    }
+
+    return { strategy, capped: Date.now() >= deadline, stages };
+  }
+
+  /**
+   * Length of the page's visible text
+   * @param {Object} page - Playwright page
+   * @returns {Promise<number>}
+   */
+  async readTextLength(page) {
+    return page.evaluate(() => (document.body ? document.body.innerText.length : 0));
+  }
 
-        if (similarity > threshold) {
-          isDuplicate = true;
-          break;
+  /**
+   * Poll the text length until it is unchanged for stableMs
+   * @param {Object} page - Playwright page
+   * @param {number} deadline - Timestamp after which polling stops
+   * @param {number} stableMs - How long the length must hold
+   * @returns {Promise<boolean>} - False when the deadline came first
+   */
+  async waitForStableText(page, deadline, stableMs) {
+    let lastLength = -1;
+    let stableSince = Date.now();
+
+    while (Date.now() < deadline) {
+      const length = await this.readTextLength(page);
+      if (length !== lastLength) {
+        lastLength = length;
+        stableSince = Date.now();
+      } else if (Date.now() - stableSince >= stableMs) {
+        return true;
+      }
+      await page.waitForTimeout(Math.max(0, Math.min(STABILITY_POLL_MS, deadline - Date.now())));
+    }
+
+    return false;
+  }
+
+  /**
+   * Scroll a viewport at a time until the page stops growing, then back to the top
+   * @param {Object} page - Playwright page
+   * @param {number} deadline - Timestamp after which scrolling stops
+   * @param {number} maxScrolls - Scroll steps allowed (infinite-scroll pages never end)
+   * @returns {Promise<void>}
+   */
+  async autoScroll(page, deadline, maxScrolls) {
+    for (let step = 0; step < maxScrolls && Date.now() < deadline; step++) {
+      await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+      await page.waitForTimeout(Math.max(0, Math.min(SCROLL_SETTLE_MS, deadline - Date.now())));
+
+      const reachedEnd = await page.evaluate(() =>
+        window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 2
+      );
+      if (reachedEnd) break;
+    }
+
+    // Screenshots are taken from the top
+    await page.evaluate(() => window.scrollTo(0, 0));
+  }
+
+  /**
+   * Click the accept button of a consent dialog if one is showing
+   * @param {Object} page - Playwright page
+   * @returns {Promise<string|null>} - Selector or label that was clicked, or null
+   */
+  async dismissConsent(page) {
+    try {
+      for (const selector of CONSENT_ACCEPT_SELECTORS) {
+        const button = page.locator(selector).first();
+        if (await button.isVisible()) {
+          await button.click({ timeout: 2000 });
+          await page.waitForTimeout(300);
+          return selector;
         }
       }
 
-      if (!isDuplicate) {
-        unique.push(currentPage);
+      const button = page.getByRole('button', { name: CONSENT_ACCEPT_LABEL }).first();
+      if (await button.isVisible()) {
+        await button.click({ timeout: 2000 });
+        await page.waitForTimeout(300);
+        return 'label';
       }
+    } catch (error) {
+      logger.debug({ err: error, url: page.url() }, 'Failed to dismiss consent dialog');
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge plans parsed from every pricing page
+   * @param {Array} pages - Scraped pages
+   * @returns {Object|null} - { sources, plans } or null when no plans were found
+   */
+  collectPricing(pages) {
+    const pricingPages = pages.filter(p => p.pricing);
+    if (pricingPages.length === 0) {
+      return null;
+    }
+
+    return {
+      sources: pricingPages.map(p => p.url),
+      plans: pricingPages.flatMap(p => p.pricing.map(plan => ({ ...plan, source_url: p.url })))
+    };
+  }
+
+  /**
+   * Screenshot the pages cited as evidence that have none yet (HTTP engine pages)
+   * Each one is rendered in the browser again; pages that still have no
+   * screenshot keep their screenshotSkipped reason.
+   * @param {Array} pages - Scraped pages
+   * @param {Array} evidenceRefs - Evidence URLs from the analysis
+   * @param {Object} options - Page options (see scrapePage)
+   * @returns {Promise<Array>} - Pages, with screenshots added where captured
+   */
+  async captureEvidenceScreenshots(pages, evidenceRefs = [], options = {}) {
+    if (!config.scraping.screenshots.enabled || snapshotService.isReplaying()) return pages;
+
+    const cited = new Set(evidenceRefs.map(normalizePageUrl));
+    const missing = pages.filter(page => !page.screenshot && cited.has(normalizePageUrl(page.url)));
+    if (missing.length === 0) return pages;
+
+    const { priority, signal } = options;
+    const captured = new Map();
+
+    for (let i = 0; i < missing.length; i += config.scraping.concurrency) {
+      signal?.throwIfAborted();
+      const batch = missing.slice(i, i + config.scraping.concurrency);
+      await Promise.all(batch.map(async ({ url }) => {
+        const rendered = await politenessService.schedule(url, () => this.renderPage(url, { priority, signal }));
+        if (rendered?.screenshot) {
+          captured.set(url, rendered.screenshot);
+        }
+      }));
+    }
+
+    logger.debug({ cited: missing.length, captured: captured.size }, 'Captured evidence screenshots');
+
+    return pages.map(page => {
+      if (!captured.has(page.url)) return page;
+      const { screenshotSkipped, ...rest } = page;
+      return { ...rest, screenshot: captured.get(page.url) };
+    });
+  }
+
+  /**
+   * Capture a full-page desktop screenshot and store it as an artifact
+   * @param {Object} page - Playwright page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} - { key, contentType, capturedAt } or null on failure
+   */
+  async captureScreenshot(page, url) {
+    try {
+      const capturedAt = new Date().toISOString();
+      const body = await page.screenshot({
+        fullPage: true,
+        type: 'jpeg',
+        quality: config.scraping.screenshots.quality
+      });
+
+      const key = `screenshots/${extractDomain(url)}/${generateUrlHash(`${url}:${capturedAt}`).slice(0, 24)}.jpg`;
+      await artifactService.put(key, body, 'image/jpeg');
+
+      return { key, contentType: 'image/jpeg', capturedAt };
+    } catch (error) {
+      logger.warn({ err: error, url }, 'Failed to capture screenshot');
+      return null;
+    }
+  }
+
+  /**
+   * Drop near-duplicate pages using MinHash signatures of word shingles
+   * Pages are kept in order, so the first page of a duplicate group wins.
+   * @param {Array} pages - Scraped pages
+   * @returns {Object} - { unique, duplicates } where duplicates are { url, duplicateOf, similarity }
+   */
+  deduplicateContent(pages) {
+    const { threshold, shingleSize } = config.scraping.dedup;
+    const index = new MinHashIndex({ threshold });
+    const unique = [];
+    const duplicates = [];
+
+    for (const page of pages) {
+      const sig = signature(shingle(page.content, shingleSize));
+      const match = index.findSimilar(sig, threshold);
+
+      if (match) {
+        duplicates.push({
+          url: page.url,
+          duplicateOf: unique[match.id].url,
+          similarity: Math.round(match.similarity * 100) / 100
+        });
+        continue;
+      }
+
+      index.add(unique.length, sig);
+      unique.push(page);
     }
 
-    return unique;
+    return { unique, duplicates };
   }
 
   /**
@@ -249,8 +1402,9 @@ class ScraperService {
    * @returns {Promise<Array>} - Scraped pages
    */
   async scrapeSpecificPages(urls) {
-    const validUrls = await this.validateUrls(urls);
-    return this.scrapePages(validUrls);
+    const { valid } = await this.validateUrls(urls);
+    // A few pages someone is waiting on go ahead of whole-site scrapes
+    return this.scrapePages(valid, { priority: 'high' });
   }
 }
 
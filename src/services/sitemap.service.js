@@ -0,0 +1,122 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { safeFetch } = require('../utils/network-guard');
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * XML sitemap fetching and parsing service
+ */
+class SitemapService {
+  /**
+   * Collect page URLs from sitemaps, following sitemap indexes
+   * @param {Array} sitemapUrls - Entry sitemap URLs
+   * @param {Object} options - Limits
+   * @param {number} options.maxSitemaps - Maximum sitemap files to fetch
+   * @param {number} options.maxUrls - Maximum page URLs to collect
+   * @returns {Promise<Object>} - { urls, sitemaps } with the sitemaps actually read
+   */
+  async collectUrls(sitemapUrls, options = {}) {
+    const maxSitemaps = options.maxSitemaps || config.scraping.discovery.maxSitemaps;
+    const maxUrls = options.maxUrls || 5000;
+
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    const readSitemaps = [];
+    const urls = new Set();
+
+    while (queue.length > 0 && visited.size < maxSitemaps && urls.size < maxUrls) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      const xml = await this.fetchSitemap(sitemapUrl);
+      if (!xml) continue;
+
+      readSitemaps.push(sitemapUrl);
+      const parsed = this.parse(xml);
+
+      if (parsed.type === 'sitemapindex') {
+        queue.push(...parsed.locations);
+      } else {
+        for (const loc of parsed.locations) {
+          if (urls.size >= maxUrls) break;
+          urls.add(loc);
+        }
+      }
+    }
+
+    return {
+      urls: [...urls],
+      sitemaps: readSitemaps
+    };
+  }
+
+  /**
+   * Fetch a sitemap, transparently decompressing gzipped files
+   * @param {string} url - Sitemap URL
+   * @returns {Promise<string|null>} - XML body or null
+   */
+  async fetchSitemap(url) {
+    try {
+      const response = await safeFetch(url, {
+        redirect: 'follow',
+        headers: { 'User-Agent': config.scraping.robots.userAgent },
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (!response.ok) {
+        logger.debug({ url, status: response.status }, 'Sitemap not available');
+        return null;
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+
+      // Gzip magic bytes: servers often send .xml.gz without Content-Encoding
+      if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return (await gunzip(buffer)).toString('utf8');
+      }
+
+      return buffer.toString('utf8');
+    } catch (error) {
+      logger.debug({ err: error, url }, 'Failed to fetch sitemap');
+      return null;
+    }
+  }
+
+  /**
+   * Parse sitemap XML
+   * @param {string} xml - Sitemap XML
+   * @returns {Object} - { type: 'urlset'|'sitemapindex', locations }
+   */
+  parse(xml) {
+    const type = /<sitemapindex[\s>]/i.test(xml) ? 'sitemapindex' : 'urlset';
+    const locations = [];
+    const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+
+    let match;
+    while ((match = locPattern.exec(xml)) !== null) {
+      locations.push(this.decodeEntities(match[1]));
+    }
+
+    return { type, locations };
+  }
+
+  /**
+   * Decode the XML entities allowed in sitemap URLs
+   * @param {string} value - Encoded value
+   * @returns {string} - Decoded value
+   */
+  decodeEntities(value) {
+    return value
+      .replace(/&amp;/g, '&')
+      .replace(/&apos;/g, "'")
+      .replace(/&quot;/g, '"')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<');
+  }
+}
+
+module.exports = new SitemapService();
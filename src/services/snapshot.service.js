@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { extractDomain, generateUrlHash, normalizePageUrl } = require('../utils/helpers');
+
+/**
+ * Scrape snapshot bundles for reproducible, offline analyses
+ *
+ * A bundle is a directory per domain under SNAPSHOT_DIR:
+ *   <domain>/pages/<url hash>.json      - HTML, headers and the extracted page for one URL
+ *   <domain>/manifests/<key hash>.json  - page list of one scrape (URL + crawl settings)
+ *   completions/<request hash>.json     - OpenAI response to one request (model, messages, settings)
+ * In record mode every scrape and OpenAI response is written to the bundles;
+ * in replay mode the scraper and the OpenAI service read them instead of the network.
+ */
+class SnapshotService {
+  /**
+   * @returns {boolean} - Scrapes are written to bundles
+   */
+  isRecording() {
+    return config.scraping.snapshot.mode === 'record';
+  }
+
+  /**
+   * @returns {boolean} - Scrapes are read from bundles instead of the network
+   */
+  isReplaying() {
+    return config.scraping.snapshot.mode === 'replay';
+  }
+
+  /**
+   * Resolve a file inside a domain's bundle
+   * @param {string} domain - Domain
+   * @param {string} kind - pages or manifests
+   * @param {string} key - Key to hash into the file name
+   * @returns {string} - Absolute file path
+   */
+  bundlePath(domain, kind, key) {
+    const root = path.resolve(config.scraping.snapshot.dir);
+    const filePath = path.resolve(root, domain, kind, `${generateUrlHash(key)}.json`);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid snapshot domain: ${domain}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Write a JSON file, creating its directory
+   * @param {string} filePath - File path
+   * @param {Object} data - Content
+   * @returns {Promise<void>}
+   */
+  async writeJson(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} filePath - File path
+   * @returns {Promise<Object|null>} - Content, or null if missing
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Record a scraped page with the response it came from
+   * @param {Object} page - Extracted page
+   * @param {Object} response - { html, status, headers, finalUrl } of the response
+   * @returns {Promise<void>}
+   */
+  async recordPage(page, response) {
+    const url = normalizePageUrl(page.url);
+
+    try {
+      await this.writeJson(this.bundlePath(extractDomain(url), 'pages', url), {
+        url,
+        recordedAt: new Date().toISOString(),
+        engine: page.engine,
+        status: response.status,
+        finalUrl: response.finalUrl,
+        headers: response.headers,
+        html: response.html,
+        text: page.content,
+        // Screenshots stay in artifact storage; the page keeps its reference
+        page
+      });
+    } catch (error) {
+      logger.warn({ err: error, url }, 'Failed to record page snapshot');
+    }
+  }
+
+  /**
+   * Get a recorded page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} - Page as it was extracted when recorded, or null if not in the bundle
+   */
+  async getPage(url) {
+    const normalized = normalizePageUrl(url);
+    const entry = await this.readJson(this.bundlePath(extractDomain(normalized), 'pages', normalized));
+    if (!entry) return null;
+
+    return { ...entry.page, url, replayedFrom: entry.recordedAt };
+  }
+
+  /**
+   * Record the page list of a scrape
+   * @param {string} domain - Domain
+   * @param {string} key - Site manifest key (URL and crawl settings)
+   * @param {Object} manifest - { pages: [{ url, depth, parentUrl }], sourceMetadata }
+   * @returns {Promise<void>}
+   */
+  async recordManifest(domain, key, manifest) {
+    try {
+      await this.writeJson(this.bundlePath(domain, 'manifests', key), {
+        key,
+        recordedAt: new Date().toISOString(),
+        ...manifest
+      });
+      logger.info({ domain, pages: manifest.pages.length }, 'Scrape snapshot recorded');
+    } catch (error) {
+      logger.warn({ err: error, domain }, 'Failed to record scrape manifest');
+    }
+  }
+
+  /**
+   * Get the recorded page list of a scrape
+   * @param {string} domain - Domain
+   * @param {string} key - Site manifest key
+   * @returns {Promise<Object|null>} - { key, recordedAt, pages, sourceMetadata } or null
+   */
+  async getManifest(domain, key) {
+    return this.readJson(this.bundlePath(domain, 'manifests', key));
+  }
+
+  /**
+   * Resolve the file of an OpenAI request
+   * Requests are keyed by everything sent, so a changed prompt or model is a miss.
+   * @param {Object} request - Chat completion request body
+   * @returns {string} - Absolute file path
+   */
+  completionPath(request) {
+    const root = path.resolve(config.scraping.snapshot.dir);
+    return path.join(root, 'completions', `${generateUrlHash(JSON.stringify(request))}.json`);
+  }
+
+  /**
+   * Record an OpenAI response
+   * @param {string} endpoint - Endpoint name the request was made for
+   * @param {Object} request - Chat completion request body
+   * @param {Object} response - Chat completion response
+   * @returns {Promise<void>}
+   */
+  async recordCompletion(endpoint, request, response) {
+    try {
+      await this.writeJson(this.completionPath(request), {
+        endpoint,
+        recordedAt: new Date().toISOString(),
+        model: response.model,
+        usage: response.usage,
+        content: response.choices[0].message.content
+      });
+    } catch (error) {
+      logger.warn({ err: error, endpoint }, 'Failed to record OpenAI response');
+    }
+  }
+
+  /**
+   * Get a recorded OpenAI response
+   * @param {Object} request - Chat completion request body
+   * @returns {Promise<Object|null>} - { endpoint, recordedAt, model, usage, content } or null
+   */
+  async getCompletion(request) {
+    return this.readJson(this.completionPath(request));
+  }
+}
+
+module.exports = new SnapshotService();
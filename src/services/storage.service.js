@@ -82,6 +82,18 @@ class StorageService {
     return run;
   }
 
+  /**
+   * Save page screenshot references (replaces the run's list)
+   * @param {string} runId - Run ID
+   * @param {Array} screenshots - { url, source, key, captured_at } entries
+   * @returns {Promise<Object>} - Updated run
+   */
+  async saveScreenshots(runId, screenshots) {
+    const run = await runsModel.updateMetadata(runId, { screenshots });
+    logger.info({ runId, count: screenshots.length }, 'Screenshots saved');
+    return run;
+  }
+
   /**
    * Update run metadata
    * @param {string} runId - Run ID
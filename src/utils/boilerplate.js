@@ -0,0 +1,69 @@
+/**
+ * Normalize a text block for comparison across pages
+ * @param {string} block - Text line
+ * @returns {string}
+ */
+function blockKey(block) {
+  return block.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Remove text blocks repeated across many pages of a site
+ * Blocks are the lines of the extracted text, which the engines break at
+ * block elements, so a cookie notice or a CTA strip comes out as a few lines
+ * that are identical on every page.
+ * @param {Array} pages - Scraped pages of one site
+ * @param {Object} options - Detection options
+ * @param {number} options.minPages - Minimum number of pages a block must appear on
+ * @param {number} options.minShare - Minimum share of pages (0-1) a block must appear on
+ * @returns {Object} - { pages, boilerplate } with cleaned pages and one copy of each removed block
+ */
+function stripBoilerplate(pages, { minPages = 3, minShare = 0.5 } = {}) {
+  if (pages.length < minPages) {
+    return { pages, boilerplate: [] };
+  }
+
+  const counts = new Map();
+  const firstSeen = new Map();
+
+  for (const page of pages) {
+    const keys = new Set();
+    for (const line of (page.content || '').split('\n')) {
+      const key = blockKey(line);
+      if (!key || keys.has(key)) continue;
+      keys.add(key);
+      if (!firstSeen.has(key)) firstSeen.set(key, line.trim());
+    }
+    for (const key of keys) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const required = Math.max(minPages, Math.ceil(pages.length * minShare));
+  const repeated = new Set(
+    [...counts.entries()].filter(([, count]) => count >= required).map(([key]) => key)
+  );
+
+  if (repeated.size === 0) {
+    return { pages, boilerplate: [] };
+  }
+
+  const cleaned = pages.map(page => ({
+    ...page,
+    content: (page.content || '')
+      .split('\n')
+      .filter(line => !repeated.has(blockKey(line)))
+      .join('\n')
+      .trim()
+  }));
+
+  const boilerplate = [...repeated]
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .map(key => ({ text: firstSeen.get(key), pages: counts.get(key) }));
+
+  return { pages: cleaned, boilerplate };
+}
+
+module.exports = {
+  stripBoilerplate
+};
@@ -0,0 +1,48 @@
+/**
+ * Accept buttons of common consent management platforms, most specific first
+ */
+const CONSENT_ACCEPT_SELECTORS = [
+  '#onetrust-accept-btn-handler',
+  '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+  '#CybotCookiebotDialogBodyButtonAccept',
+  '#didomi-notice-agree-button',
+  '#truste-consent-button',
+  '.qc-cmp2-summary-buttons button[mode="primary"]',
+  '[data-testid="uc-accept-all-button"]',
+  '.osano-cm-accept-all',
+  '.cky-btn-accept',
+  '.cmplz-accept',
+  '[data-tid="banner-accept"]',
+  '.cc-allow, .cc-dismiss',
+  '#hs-eu-confirmation-button',
+  '.iubenda-cs-accept-btn'
+];
+
+/**
+ * Button labels used when no known platform matched
+ */
+const CONSENT_ACCEPT_LABEL = /^\s*(accept( all)?( cookies)?|allow( all)?( cookies)?|agree|i agree|got it|ok(ay)?|alle akzeptieren|tout accepter|aceptar( todo)?)\s*$/i;
+
+/**
+ * Banner containers removed before text extraction if still in the DOM
+ */
+const CONSENT_CONTAINER_SELECTOR = [
+  '#onetrust-consent-sdk',
+  '#CybotCookiebotDialog',
+  '#didomi-host',
+  '#truste-consent-track',
+  '.qc-cmp2-container',
+  '#usercentrics-root',
+  '.osano-cm-window',
+  '.cky-consent-container',
+  '.cmplz-cookiebanner',
+  '#hs-eu-cookie-confirmation',
+  '.cc-window',
+  '#iubenda-cs-banner'
+].join(', ');
+
+module.exports = {
+  CONSENT_ACCEPT_SELECTORS,
+  CONSENT_ACCEPT_LABEL,
+  CONSENT_CONTAINER_SELECTOR
+};
@@ -0,0 +1,232 @@
+const { estimateTokens } = require('./helpers');
+
+/**
+ * Page-content token budgets per model
+ * Well below each context window: the rest of the prompt, the JSON answer and
+ * cost all need room. Prefix matches, so dated snapshots share a budget.
+ */
+const MODEL_BUDGETS = [
+  { prefix: 'gpt-4.1', tokens: 32000 },
+  { prefix: 'gpt-4o', tokens: 24000 },
+  { prefix: 'gpt-4-turbo', tokens: 24000 },
+  { prefix: 'o1', tokens: 24000 },
+  { prefix: 'o3', tokens: 24000 },
+  { prefix: 'gpt-4', tokens: 5000 },
+  { prefix: 'gpt-3.5-turbo', tokens: 10000 }
+];
+
+const DEFAULT_BUDGET = 8000;
+
+/**
+ * Page priority by path, lower first; home, about and pricing carry the most brand signal
+ */
+const PAGE_PRIORITY = [
+  { pattern: /^\/?$/, priority: 0 },
+  { pattern: /(about|our-story|company|who-we-are|mission)/, priority: 1 },
+  { pattern: /(pricing|plans)/, priority: 2 },
+  { pattern: /(products?|solutions?|platform|features?|services?|how-it-works)/, priority: 3 },
+  { pattern: /(customers|case-stud|testimonials|why)/, priority: 4 },
+  { pattern: /(blog|news|press|careers|legal|privacy|terms)/, priority: 6 }
+];
+
+const OTHER_PRIORITY = 5;
+
+// Leading tokens every page gets before any page gets more
+const PAGE_FLOOR_TOKENS = 300;
+const MAX_CHUNK_TOKENS = 400;
+
+/**
+ * Get the page-content budget for a model
+ * @param {string} model - Model name
+ * @param {number} override - Configured budget that replaces the model default
+ * @returns {number} - Token budget
+ */
+function budgetForModel(model, override) {
+  if (override) return override;
+  const match = MODEL_BUDGETS.find(entry => (model || '').startsWith(entry.prefix));
+  return match ? match.tokens : DEFAULT_BUDGET;
+}
+
+/**
+ * Priority of a page by its URL path
+ * @param {string} url - Page URL
+ * @returns {number}
+ */
+function pagePriority(url) {
+  let path;
+  try {
+    path = new URL(url).pathname.toLowerCase();
+  } catch (error) {
+    return OTHER_PRIORITY;
+  }
+  const match = PAGE_PRIORITY.find(entry => entry.pattern.test(path));
+  return match ? match.priority : OTHER_PRIORITY;
+}
+
+/**
+ * Split page text into paragraph chunks, breaking oversized paragraphs at sentences
+ * @param {string} content - Page text
+ * @returns {Array<string>}
+ */
+function splitChunks(content) {
+  const chunks = [];
+
+  for (const paragraph of (content || '').split(/\n+/).map(p => p.trim()).filter(Boolean)) {
+    if (estimateTokens(paragraph) <= MAX_CHUNK_TOKENS) {
+      chunks.push(paragraph);
+      continue;
+    }
+
+    let current = '';
+    for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+      if (current && estimateTokens(`${current} ${sentence}`) > MAX_CHUNK_TOKENS) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    // A single run-on sentence still has to be cut somewhere
+    while (estimateTokens(current) > MAX_CHUNK_TOKENS) {
+      chunks.push(current.slice(0, MAX_CHUNK_TOKENS * 4));
+      current = current.slice(MAX_CHUNK_TOKENS * 4);
+    }
+    if (current) chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Pack page content into a token budget
+ * Every page first gets its heading and leading paragraphs up to a small
+ * floor, in priority order; the remaining budget then goes to whole
+ * paragraphs, again by priority. Each page keeps a prefix of its text.
+ * @param {Array} pages - Pages with url, title and content
+ * @param {Object} options - Packing options
+ * @param {string} options.model - Model name
+ * @param {number} options.budget - Token budget override
+ * @returns {Object} - { pages, report } with packed pages in priority order and what was left out
+ */
+function packPages(pages, { model, budget } = {}) {
+  const budgetTokens = budgetForModel(model, budget);
+
+  const entries = pages
+    .map((page, index) => {
+      const chunks = splitChunks(page.content);
+      return {
+        page,
+        index,
+        priority: pagePriority(page.url),
+        header: estimateTokens(`URL: ${page.url}\nTitle: ${page.title}\nContent: `),
+        chunks,
+        chunkTokens: chunks.map(chunk => estimateTokens(chunk) + 1),
+        kept: 0,
+        included: false
+      };
+    })
+    .sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+  let used = 0;
+
+  // Pass 1: the page header plus leading paragraphs up to the floor
+  for (const entry of entries) {
+    if (used + entry.header > budgetTokens) continue;
+    used += entry.header;
+    entry.included = true;
+
+    let pageTokens = 0;
+    while (entry.kept < entry.chunks.length) {
+      const tokens = entry.chunkTokens[entry.kept];
+      if (pageTokens > 0 && pageTokens + tokens > PAGE_FLOOR_TOKENS) break;
+      if (used + tokens > budgetTokens) break;
+      used += tokens;
+      pageTokens += tokens;
+      entry.kept++;
+    }
+  }
+
+  // Pass 2: the rest of each page, highest priority first
+  for (const entry of entries.filter(e => e.included)) {
+    while (entry.kept < entry.chunks.length && used + entry.chunkTokens[entry.kept] <= budgetTokens) {
+      used += entry.chunkTokens[entry.kept];
+      entry.kept++;
+    }
+  }
+
+  const packed = entries
+    .filter(entry => entry.included)
+    .map(entry => ({
+      ...entry.page,
+      content: entry.chunks.slice(0, entry.kept).join('\n')
+    }));
+
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  return {
+    pages: packed,
+    report: {
+      model,
+      budget_tokens: budgetTokens,
+      used_tokens: used,
+      included_pages: packed.length,
+      truncated: entries
+        .filter(entry => entry.included && entry.kept < entry.chunks.length)
+        .map(entry => ({
+          url: entry.page.url,
+          kept_tokens: sum(entry.chunkTokens.slice(0, entry.kept)),
+          dropped_tokens: sum(entry.chunkTokens.slice(entry.kept)),
+          dropped_paragraphs: entry.chunks.length - entry.kept
+        })),
+      omitted: entries
+        .filter(entry => !entry.included)
+        .map(entry => ({ url: entry.page.url, tokens: sum(entry.chunkTokens) }))
+    }
+  };
+}
+
+/**
+ * Pack per-page notes into a token budget for the reduce prompt
+ * Notes are kept whole, as compact JSON, in page priority order; notes of the
+ * lowest-priority pages are left out first.
+ * @param {Array} notes - Notes with source_url
+ * @param {Object} options - Packing options
+ * @param {string} options.model - Model name
+ * @param {number} options.budget - Token budget override
+ * @returns {Object} - { notes, report } with kept notes in their original order and what was left out
+ */
+function packNotes(notes, { model, budget } = {}) {
+  const budgetTokens = budgetForModel(model, budget);
+
+  const entries = notes
+    .map((note, index) => ({
+      note,
+      index,
+      priority: pagePriority(note.source_url),
+      tokens: estimateTokens(JSON.stringify(note)) + 1
+    }))
+    .sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+  let used = 0;
+  for (const entry of entries) {
+    entry.included = used + entry.tokens <= budgetTokens;
+    if (entry.included) used += entry.tokens;
+  }
+
+  return {
+    notes: entries.filter(entry => entry.included).sort((a, b) => a.index - b.index).map(entry => entry.note),
+    report: {
+      budget_tokens: budgetTokens,
+      used_tokens: used,
+      included_notes: entries.filter(entry => entry.included).length,
+      omitted: entries
+        .filter(entry => !entry.included)
+        .map(entry => ({ url: entry.note.source_url, tokens: entry.tokens }))
+    }
+  };
+}
+
+module.exports = {
+  budgetForModel,
+  packNotes,
+  packPages
+};
@@ -0,0 +1,43 @@
+/**
+ * Normalize copy for comparison: case and whitespace differences are not changes
+ * @param {string} text - Copy
+ * @returns {string}
+ */
+function normalizeCopy(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Compare the hero copy of a page's desktop and mobile renders
+ * @param {Object} desktop - { headline, ctas } from the desktop render
+ * @param {Object} mobile - { headline, ctas } from the mobile render
+ * @returns {Object} - { headline: { desktop, mobile, changed }, ctas: { desktop, mobile, onlyDesktop, onlyMobile }, changed }
+ */
+function diffHeroCopy(desktop, mobile) {
+  const desktopCtas = desktop?.ctas || [];
+  const mobileCtas = mobile?.ctas || [];
+  const desktopKeys = new Set(desktopCtas.map(normalizeCopy));
+  const mobileKeys = new Set(mobileCtas.map(normalizeCopy));
+
+  const headline = {
+    desktop: desktop?.headline || null,
+    mobile: mobile?.headline || null,
+    changed: normalizeCopy(desktop?.headline) !== normalizeCopy(mobile?.headline)
+  };
+  const ctas = {
+    desktop: desktopCtas,
+    mobile: mobileCtas,
+    onlyDesktop: desktopCtas.filter(label => !mobileKeys.has(normalizeCopy(label))),
+    onlyMobile: mobileCtas.filter(label => !desktopKeys.has(normalizeCopy(label)))
+  };
+
+  return {
+    headline,
+    ctas,
+    changed: headline.changed || ctas.onlyDesktop.length > 0 || ctas.onlyMobile.length > 0
+  };
+}
+
+module.exports = {
+  diffHeroCopy
+};
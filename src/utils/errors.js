@@ -29,6 +29,20 @@ class UnauthorizedError extends AppError {
   }
 }
 
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', details = {}) {
+    super(message, 'NOT_FOUND', 404, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+class UnsafeUrlError extends AppError {
+  constructor(message = 'URL points to a non-public address', details = {}) {
+    super(message, 'UNSAFE_URL', 400, details);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
 class EvidenceViolationError extends AppError {
   constructor(message, details = {}) {
     super(message, 'EVIDENCE_VIOLATION', 409, details);
@@ -71,6 +85,13 @@ class OpenAITimeoutError extends AppError {
   }
 }
 
+class RequestAbortedError extends AppError {
+  constructor(message = 'Request aborted', details = {}) {
+    super(message, 'REQUEST_ABORTED', 499, details);
+    this.name = 'RequestAbortedError';
+  }
+}
+
 class UpstreamArtifactMissingError extends AppError {
   constructor(message, details = {}) {
     super(message, 'UPSTREAM_ARTIFACT_MISSING', 424, details);
@@ -82,11 +103,14 @@ module.exports = {
   AppError,
   ValidationError,
   UnauthorizedError,
+  NotFoundError,
+  UnsafeUrlError,
   EvidenceViolationError,
   LowConfidenceError,
   InsufficientDataError,
   RateLimitError,
   OpenAIError,
   OpenAITimeoutError,
+  RequestAbortedError,
   UpstreamArtifactMissingError
 };
@@ -59,6 +59,53 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Resolve a possibly relative URL against a base URL
+ * @param {string} value - URL or path
+ * @param {string} baseUrl - Base URL (usually the page URL)
+ * @returns {string|null} - Absolute URL or null if unresolvable
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Query parameters that only track the visitor and never change page content
+ */
+const TRACKING_PARAM = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|ref|_ga|_hs\w+)$/i;
+
+/**
+ * Normalize a page URL for use as a cache key
+ * Drops the fragment and tracking parameters, sorts the query and strips a trailing slash
+ * @param {string} url - Page URL
+ * @returns {string|null} - Normalized URL or null if invalid
+ */
+function normalizePageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAM.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return parsed.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Generate URL hash for caching
  * @param {string} url - URL to hash
@@ -68,6 +115,15 @@ function generateUrlHash(url) {
   return crypto.createHash('sha256').update(url).digest('hex');
 }
 
+/**
+ * Hash page text to detect content changes
+ * @param {string} text - Page text
+ * @returns {string} - SHA-256 hash
+ */
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -143,6 +199,64 @@ function parseBoolean(value, defaultValue = false) {
   return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
 }
 
+/**
+ * Parse comma-separated list from string
+ * @param {string} value - Value to parse
+ * @param {Array} defaultValue - Default value if empty
+ * @returns {Array<string>}
+ */
+function parseList(value, defaultValue = []) {
+  if (!value) return defaultValue;
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse comma-separated key=value pairs from string
+ * Only the first = splits a pair, so values may contain = (e.g. URLs).
+ * @param {string} value - Value to parse, like "de-DE=Europe/Berlin,ja-JP=Asia/Tokyo"
+ * @returns {Object} - Values by key
+ */
+function parseMap(value) {
+  return Object.fromEntries(
+    parseList(value)
+      .map(item => {
+        const index = item.indexOf('=');
+        return index > 0 ? [item.slice(0, index).trim(), item.slice(index + 1).trim()] : null;
+      })
+      .filter(entry => entry && entry[1])
+  );
+}
+
+/**
+ * Convert a path glob to a regular expression
+ * Supports ** (any characters), * (any except /) and ? (one character except /)
+ * @param {string} pattern - Glob pattern like /blog/** or /products/*
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
 /**
  * Format duration in milliseconds to human-readable string
  * @param {number} ms - Duration in milliseconds
@@ -168,12 +282,18 @@ module.exports = {
   estimateTokens,
   sanitizeUrl,
   extractDomain,
+  resolveUrl,
+  normalizePageUrl,
   generateUrlHash,
+  hashContent,
   sleep,
   retry,
   truncate,
   jaccardSimilarity,
   parseBoolean,
+  parseList,
+  parseMap,
+  globToRegExp,
   formatDuration,
   deepClone
 };
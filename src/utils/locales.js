@@ -0,0 +1,93 @@
+const config = require('../config/environment');
+
+/**
+ * Default time zone per region, for locales without a LOCALE_TIMEZONES entry
+ * Countries spanning several zones get the zone of their largest market.
+ */
+const REGION_TIMEZONES = {
+  AE: 'Asia/Dubai',
+  AR: 'America/Argentina/Buenos_Aires',
+  AT: 'Europe/Vienna',
+  AU: 'Australia/Sydney',
+  BE: 'Europe/Brussels',
+  BR: 'America/Sao_Paulo',
+  CA: 'America/Toronto',
+  CH: 'Europe/Zurich',
+  CN: 'Asia/Shanghai',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  HK: 'Asia/Hong_Kong',
+  IE: 'Europe/Dublin',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JP: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  MX: 'America/Mexico_City',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland',
+  PL: 'Europe/Warsaw',
+  PT: 'Europe/Lisbon',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  TW: 'Asia/Taipei',
+  US: 'America/New_York',
+  ZA: 'Africa/Johannesburg'
+};
+
+/**
+ * Build the Accept-Language header for a locale, falling back to its language
+ * @param {string} locale - BCP 47 locale like de-DE
+ * @returns {string} - e.g. "de-DE,de;q=0.9"
+ */
+function acceptLanguage(locale) {
+  const [language, region] = locale.split('-');
+  return region ? `${locale},${language};q=0.9` : language;
+}
+
+/**
+ * Convert a proxy URL into Playwright proxy settings
+ * @param {string} proxyUrl - Proxy URL, optionally with credentials
+ * @returns {Object} - { server, username, password }
+ * @throws {Error} If the URL is invalid
+ */
+function parseProxy(proxyUrl) {
+  const parsed = new URL(proxyUrl);
+  return {
+    server: `${parsed.protocol}//${parsed.host}`,
+    ...(parsed.username && { username: decodeURIComponent(parsed.username) }),
+    ...(parsed.password && { password: decodeURIComponent(parsed.password) })
+  };
+}
+
+/**
+ * Browser context settings that make a page render as it would for a visitor in a locale
+ * @param {string} locale - BCP 47 locale like de-DE
+ * @returns {Object} - newContext options: locale, timezoneId, Accept-Language header and,
+ *   when LOCALE_PROXIES has an entry for the locale, proxy
+ * @throws {Error} If the configured time zone or proxy is invalid
+ */
+function localeContextOptions(locale) {
+  const { timezones, proxies } = config.scraping.locales;
+  const region = locale.split('-')[1];
+  const timezoneId = timezones[locale] || REGION_TIMEZONES[region] || 'UTC';
+
+  // Throws a RangeError for unknown zones, before the browser gets to reject the context
+  new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+
+  return {
+    locale,
+    timezoneId,
+    extraHTTPHeaders: { 'Accept-Language': acceptLanguage(locale) },
+    ...(proxies[locale] && { proxy: parseProxy(proxies[locale]) })
+  };
+}
+
+module.exports = {
+  acceptLanguage,
+  localeContextOptions
+};
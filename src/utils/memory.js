@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * Memory limit, usage and stat files, cgroup v2 first, with the memory.stat key
+ * for reclaimable file cache
+ */
+const CGROUP_FILES = [
+  {
+    limit: '/sys/fs/cgroup/memory.max',
+    usage: '/sys/fs/cgroup/memory.current',
+    stat: '/sys/fs/cgroup/memory.stat',
+    inactiveFile: 'inactive_file'
+  },
+  {
+    limit: '/sys/fs/cgroup/memory/memory.limit_in_bytes',
+    usage: '/sys/fs/cgroup/memory/memory.usage_in_bytes',
+    stat: '/sys/fs/cgroup/memory/memory.stat',
+    inactiveFile: 'total_inactive_file'
+  }
+];
+
+/**
+ * Read a numeric cgroup file
+ * @param {string} file - File path
+ * @returns {number|null} - Value, Infinity for "max", or null if unreadable
+ */
+function readCgroupValue(file) {
+  try {
+    const value = fs.readFileSync(file, 'utf8').trim();
+    if (value === 'max') return Infinity;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read one value from a cgroup memory.stat file
+ * @param {string} file - File path
+ * @param {string} key - Stat name
+ * @returns {number} - Value, or 0 if missing
+ */
+function readStatValue(file, key) {
+  try {
+    const line = fs.readFileSync(file, 'utf8').split('\n').find(entry => entry.startsWith(`${key} `));
+    const value = line ? Number(line.slice(key.length + 1)) : 0;
+    return Number.isFinite(value) ? value : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Read the memory limit and usage of this container, or of the host when
+ * the container has no limit
+ * cgroup usage counts page cache the kernel can reclaim at any time, so
+ * inactive file pages are subtracted, the same working set kubelet evicts on.
+ * @returns {Object} - { limitBytes, usageBytes, source } with source cgroup or host
+ */
+function readMemoryUsage() {
+  const totalBytes = os.totalmem();
+
+  for (const files of CGROUP_FILES) {
+    const limitBytes = readCgroupValue(files.limit);
+    const usageBytes = readCgroupValue(files.usage);
+
+    // cgroup v1 reports "no limit" as a number far above physical memory
+    if (limitBytes !== null && usageBytes !== null && limitBytes < totalBytes) {
+      const inactiveFile = readStatValue(files.stat, files.inactiveFile);
+      return { limitBytes, usageBytes: Math.max(0, usageBytes - inactiveFile), source: 'cgroup' };
+    }
+  }
+
+  return {
+    limitBytes: totalBytes,
+    usageBytes: totalBytes - os.freemem(),
+    source: 'host'
+  };
+}
+
+module.exports = {
+  readMemoryUsage
+};
@@ -26,6 +26,67 @@ const scrapingDuration = new promClient.Histogram({
   buckets: [1000, 5000, 10000, 20000, 30000, 40000, 50000, 60000]
 });
 
+/**
+ * Pages scraped per engine, and why HTTP pages were escalated to the browser
+ */
+const scrapedPages = new promClient.Counter({
+  name: 'scraped_pages_total',
+  help: 'Total number of pages scraped',
+  labelNames: ['engine']
+});
+
+const engineEscalations = new promClient.Counter({
+  name: 'scrape_engine_escalations_total',
+  help: 'Total number of pages escalated from HTTP to the browser engine',
+  labelNames: ['reason']
+});
+
+/**
+ * Browser requests aborted by interception rules
+ */
+const blockedRequests = new promClient.Counter({
+  name: 'scrape_blocked_requests_total',
+  help: 'Total number of browser requests aborted by interception rules',
+  labelNames: ['resource_type', 'reason']
+});
+
+const blockedBytes = new promClient.Counter({
+  name: 'scrape_blocked_bytes_estimated_total',
+  help: 'Typical transfer size per resource type times requests aborted by interception rules (an estimate, not measured)',
+  labelNames: ['resource_type']
+});
+
+/**
+ * Browser page load histogram, with and without interception
+ * Blocked images, fonts and media barely move DOMContentLoaded, so the
+ * comparison is made on the load event.
+ */
+const pageLoadDuration = new promClient.Histogram({
+  name: 'page_load_duration_ms',
+  help: 'Time from navigation start to a page load milestone in milliseconds',
+  labelNames: ['interception', 'milestone'],
+  buckets: [500, 1000, 2000, 3000, 5000, 8000, 12000, 15000, 30000]
+});
+
+/**
+ * Browser wait stage that produced a page's final content
+ */
+const waitStrategies = new promClient.Counter({
+  name: 'scrape_wait_strategy_total',
+  help: 'Total number of browser pages by the wait stage that produced their content',
+  labelNames: ['strategy', 'capped']
+});
+
+/**
+ * Time spent waiting for content after navigation, by the stage that produced it
+ */
+const waitDuration = new promClient.Histogram({
+  name: 'scrape_wait_duration_ms',
+  help: 'Duration of the content waits after browser navigation in milliseconds',
+  labelNames: ['strategy'],
+  buckets: [100, 250, 500, 1000, 2000, 3000, 5000, 8000, 12000, 15000]
+});
+
 /**
  * Cache hit rate counter
  */
@@ -68,6 +129,43 @@ const browserPoolSize = new promClient.Gauge({
   labelNames: ['status']
 });
 
+/**
+ * Callers waiting for a browser, by priority lane
+ */
+const browserQueueDepth = new promClient.Gauge({
+  name: 'browser_pool_queue_depth',
+  help: 'Number of callers waiting for a browser',
+  labelNames: ['priority']
+});
+
+/**
+ * Time spent waiting for a browser
+ */
+const browserWaitDuration = new promClient.Histogram({
+  name: 'browser_pool_wait_duration_ms',
+  help: 'Time callers waited for a browser in milliseconds',
+  labelNames: ['priority', 'outcome'],
+  buckets: [0, 10, 100, 500, 1000, 2500, 5000, 10000, 20000, 30000]
+});
+
+/**
+ * Browser relaunches, by reason
+ */
+const browserRestarts = new promClient.Counter({
+  name: 'browser_restarts_total',
+  help: 'Total number of browser relaunches',
+  labelNames: ['reason']
+});
+
+/**
+ * Browser pool growth and shrinkage
+ */
+const poolScaling = new promClient.Counter({
+  name: 'browser_pool_scaling_total',
+  help: 'Total number of browser pool size changes',
+  labelNames: ['action']
+});
+
 /**
  * Active runs gauge
  */
@@ -79,11 +177,22 @@ const activeRuns = new promClient.Gauge({
 // Register all metrics
 register.registerMetric(httpRequestDuration);
 register.registerMetric(scrapingDuration);
+register.registerMetric(scrapedPages);
+register.registerMetric(engineEscalations);
+register.registerMetric(blockedRequests);
+register.registerMetric(blockedBytes);
+register.registerMetric(pageLoadDuration);
+register.registerMetric(waitDuration);
+register.registerMetric(waitStrategies);
 register.registerMetric(cacheHits);
 register.registerMetric(cacheMisses);
 register.registerMetric(openaiTokens);
 register.registerMetric(openaiCalls);
 register.registerMetric(browserPoolSize);
+register.registerMetric(browserQueueDepth);
+register.registerMetric(browserWaitDuration);
+register.registerMetric(browserRestarts);
+register.registerMetric(poolScaling);
 register.registerMetric(activeRuns);
 
 /**
@@ -110,6 +219,41 @@ function recordScraping(domain, durationMs) {
     .observe(durationMs);
 }
 
+/**
+ * Record the engine used for a page
+ * @param {string} engine - Engine (http, browser)
+ * @param {string} escalationReason - Why HTTP extraction was rejected, if it was
+ */
+function recordPageEngine(engine, escalationReason) {
+  scrapedPages.labels(engine).inc();
+  if (escalationReason) {
+    engineEscalations.labels(escalationReason).inc();
+  }
+}
+
+/**
+ * Record a request aborted by interception rules
+ * @param {string} resourceType - Playwright resource type
+ * @param {string} reason - Block reason (resource_type, tracker)
+ * @param {number} estimatedBytes - Typical transfer size of the resource type
+ */
+function recordBlockedRequest(resourceType, reason, estimatedBytes) {
+  blockedRequests.labels(resourceType, reason).inc();
+  blockedBytes.labels(resourceType).inc(estimatedBytes);
+}
+
+/**
+ * Record a browser page load
+ * @param {number} durationMs - Time from navigation start to the milestone in milliseconds
+ * @param {string} interception - on, partial or off (see BrowserPool.interceptionMode)
+ * @param {string} milestone - domcontentloaded or load
+ */
+function recordPageLoad(durationMs, interception, milestone) {
+  pageLoadDuration
+    .labels(interception, milestone)
+    .observe(durationMs);
+}
+
 /**
  * Record cache hit
  * @param {string} cacheType - Type of cache (redis, postgres)
@@ -157,6 +301,41 @@ function updateBrowserPool(total, inUse) {
   browserPoolSize.labels('available').set(total - inUse);
 }
 
+/**
+ * Update the number of callers waiting for a browser
+ * @param {string} priority - Priority lane
+ * @param {number} depth - Waiting callers
+ */
+function updateBrowserQueue(priority, depth) {
+  browserQueueDepth.labels(priority).set(depth);
+}
+
+/**
+ * Record how long a caller waited for a browser
+ * @param {string} priority - Priority lane
+ * @param {string} outcome - acquired, timeout or aborted
+ * @param {number} durationMs - Wait in milliseconds
+ */
+function recordBrowserWait(priority, outcome, durationMs) {
+  browserWaitDuration.labels(priority, outcome).observe(durationMs);
+}
+
+/**
+ * Record a browser relaunch
+ * @param {string} reason - crash, disconnected, context_failed, probe_failed, recycle_contexts, recycle_age or relaunch
+ */
+function recordBrowserRestart(reason) {
+  browserRestarts.labels(reason).inc();
+}
+
+/**
+ * Record a browser pool size change
+ * @param {string} action - grow, shrink or grow_blocked (no memory left)
+ */
+function recordPoolScaling(action) {
+  poolScaling.labels(action).inc();
+}
+
 /**
  * Update active runs count
  * @param {number} count - Number of active runs
@@ -165,6 +344,17 @@ function updateActiveRuns(count) {
   activeRuns.set(count);
 }
 
+/**
+ * Record the wait stage that produced a browser page's content
+ * @param {string} strategy - domcontentloaded, stable or scroll
+ * @param {boolean} capped - Whether the page load deadline ended the waits
+ * @param {number} durationMs - Time spent in the waits, in milliseconds
+ */
+function recordWaitStrategy(strategy, capped, durationMs) {
+  waitStrategies.labels(strategy, capped ? 'true' : 'false').inc();
+  waitDuration.labels(strategy).observe(durationMs);
+}
+
 /**
  * Get metrics in Prometheus format
  * @returns {Promise<string>} - Metrics string
@@ -176,11 +366,19 @@ async function getMetrics() {
 module.exports = {
   recordHttpRequest,
   recordScraping,
+  recordPageEngine,
+  recordBlockedRequest,
+  recordPageLoad,
+  recordWaitStrategy,
   recordCacheHit,
   recordCacheMiss,
   recordOpenAITokens,
   recordOpenAICall,
   updateBrowserPool,
+  updateBrowserQueue,
+  recordBrowserWait,
+  recordBrowserRestart,
+  recordPoolScaling,
   updateActiveRuns,
   getMetrics
 };
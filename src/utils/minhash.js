@@ -0,0 +1,213 @@
+/**
+ * MinHash signatures with an LSH band index for near-duplicate detection
+ *
+ * Pages are reduced to sets of word shingles, each set to a fixed-size
+ * signature whose matching positions estimate the Jaccard similarity. Banding
+ * the signatures lets a new page be compared only with pages that share a
+ * band, instead of with every page kept so far.
+ */
+
+const DEFAULT_NUM_HASHES = 128;
+const DEFAULT_BANDS = 32;
+
+// A pair exactly at the threshold must become a candidate at least this often
+const MIN_CANDIDATE_PROBABILITY = 0.99;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions from seeds
+ * @param {number} value - 32-bit value
+ * @returns {number} - Mixed unsigned 32-bit value
+ */
+function mix(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Fixed seeds keep signatures comparable across processes and cache entries
+const SEEDS = Array.from({ length: 1024 }, (_, i) => mix(i + 0x9e3779b9));
+
+/**
+ * Hash the word shingles of a text
+ * @param {string} text - Page text
+ * @param {number} size - Words per shingle
+ * @returns {Set<number>} - Shingle hashes
+ */
+function shingle(text, size = 5) {
+  const words = (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const hashes = new Set();
+
+  if (words.length <= size) {
+    hashes.add(fnv1a(words.join(' ')));
+    return hashes;
+  }
+
+  for (let i = 0; i <= words.length - size; i++) {
+    hashes.add(fnv1a(words.slice(i, i + size).join(' ')));
+  }
+  return hashes;
+}
+
+/**
+ * Compute the MinHash signature of a shingle set
+ * @param {Set<number>} shingles - Shingle hashes
+ * @param {number} numHashes - Signature length
+ * @returns {Uint32Array} - Signature
+ */
+function signature(shingles, numHashes = DEFAULT_NUM_HASHES) {
+  const result = new Uint32Array(numHashes).fill(0xffffffff);
+
+  for (const value of shingles) {
+    for (let i = 0; i < numHashes; i++) {
+      const hashed = mix(value ^ SEEDS[i]);
+      if (hashed < result[i]) {
+        result[i] = hashed;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Estimate Jaccard similarity from two signatures
+ * @param {Uint32Array} a - Signature
+ * @param {Uint32Array} b - Signature of the same length
+ * @returns {number} - Similarity between 0 and 1
+ */
+function estimateSimilarity(a, b) {
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / a.length;
+}
+
+/**
+ * Pick the band count for a similarity threshold
+ * Two signatures with similarity s share at least one of b bands of r rows
+ * with probability 1 - (1 - s^r)^b. More bands catch less similar pairs but
+ * make more candidates to compare, so this takes the fewest bands (dividing
+ * numHashes) that still catch a pair at the threshold 99% of the time.
+ * @param {number} threshold - Similarity threshold, above 0 and at most 1
+ * @param {number} numHashes - Signature length
+ * @returns {number} - Number of bands
+ */
+function bandsForThreshold(threshold, numHashes = DEFAULT_NUM_HASHES) {
+  for (let bands = 1; bands <= numHashes; bands++) {
+    if (numHashes % bands !== 0) continue;
+    const rows = numHashes / bands;
+    if (1 - Math.pow(1 - Math.pow(threshold, rows), bands) >= MIN_CANDIDATE_PROBABILITY) {
+      return bands;
+    }
+  }
+  return numHashes;
+}
+
+/**
+ * Locality-sensitive hashing index over MinHash signatures
+ */
+class MinHashIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.numHashes - Signature length
+   * @param {number} options.threshold - Similarity threshold the index is tuned for (see bandsForThreshold)
+   * @param {number} options.bands - Number of bands, instead of deriving it from the threshold
+   * @throws {RangeError} If the threshold is outside (0, 1] or bands does not divide numHashes
+   */
+  constructor({ numHashes = DEFAULT_NUM_HASHES, threshold, bands } = {}) {
+    if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+      throw new RangeError(`MinHash threshold must be above 0 and at most 1, got ${threshold}`);
+    }
+
+    this.numHashes = numHashes;
+    this.bands = bands ?? (threshold === undefined ? DEFAULT_BANDS : bandsForThreshold(threshold, numHashes));
+
+    if (!Number.isInteger(this.bands) || this.bands < 1 || numHashes % this.bands !== 0) {
+      throw new RangeError(`MinHash bands (${this.bands}) must divide the signature length (${numHashes})`);
+    }
+
+    this.rows = numHashes / this.bands;
+    this.buckets = new Map();
+    this.signatures = new Map();
+  }
+
+  /**
+   * Bucket keys of a signature, one per band
+   * @param {Uint32Array} sig - Signature
+   * @returns {Array<string>}
+   */
+  bandKeys(sig) {
+    const keys = [];
+    for (let band = 0; band < this.bands; band++) {
+      const start = band * this.rows;
+      keys.push(`${band}:${sig.slice(start, start + this.rows).join(',')}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Add a signature to the index
+   * @param {any} id - Item identifier
+   * @param {Uint32Array} sig - Signature
+   */
+  add(id, sig) {
+    this.signatures.set(id, sig);
+    for (const key of this.bandKeys(sig)) {
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, []);
+      }
+      this.buckets.get(key).push(id);
+    }
+  }
+
+  /**
+   * Find the most similar indexed item at or above a threshold
+   * @param {Uint32Array} sig - Signature
+   * @param {number} threshold - Minimum estimated similarity
+   * @returns {Object|null} - { id, similarity } or null
+   */
+  findSimilar(sig, threshold) {
+    const candidates = new Set();
+    for (const key of this.bandKeys(sig)) {
+      for (const id of this.buckets.get(key) || []) {
+        candidates.add(id);
+      }
+    }
+
+    let best = null;
+    for (const id of candidates) {
+      const similarity = estimateSimilarity(sig, this.signatures.get(id));
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { id, similarity };
+      }
+    }
+    return best;
+  }
+}
+
+module.exports = {
+  shingle,
+  signature,
+  estimateSimilarity,
+  bandsForThreshold,
+  MinHashIndex
+};
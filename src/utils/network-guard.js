@@ -0,0 +1,230 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, ProxyAgent, fetch } = require('undici');
+const config = require('../config/environment');
+const { UnsafeUrlError } = require('./errors');
+
+/**
+ * Address ranges that must never be fetched: private, loopback, link-local
+ * (including cloud metadata services), CGNAT, multicast and reserved
+ */
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+// Transition forms (IPv4-compatible, Teredo, 6to4) can carry any IPv4 address
+// inside them, so they are blocked outright
+[
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001::', 32],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOSTNAMES = /^(localhost|metadata|metadata\.google\.internal|instance-data)$|\.(localhost|internal|local)$/i;
+
+const MAX_REDIRECTS = 5;
+const LOOKUP_TTL = 60000;
+const lookupCache = new Map();
+
+/**
+ * Check whether an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a hostname to all of its addresses, with a short cache
+ * @param {string} hostname - Hostname
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveHost(hostname) {
+  const cached = lookupCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.addresses;
+  }
+
+  const records = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  const addresses = records.map(record => record.address);
+  lookupCache.set(hostname, { addresses, expiresAt: Date.now() + LOOKUP_TTL });
+  return addresses;
+}
+
+/**
+ * Reject URLs that are not http(s) or that resolve to a non-public address
+ * Every resolved address must be public, so a hostname with one private
+ * A record can't slip through.
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {UnsafeUrlError}
+ */
+async function assertPublicUrl(url) {
+  // Replays never touch the network, and may run with no DNS at all
+  if (config.security.allowPrivateNetworks || config.scraping.snapshot.mode === 'replay') return;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new UnsafeUrlError('Invalid URL', { url });
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new UnsafeUrlError('Only HTTP and HTTPS URLs are allowed', { url });
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (BLOCKED_HOSTNAMES.test(hostname)) {
+    throw new UnsafeUrlError('URL host is not public', { url, host: hostname });
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = await resolveHost(hostname);
+    } catch (error) {
+      throw new UnsafeUrlError('URL host could not be resolved', { url, host: hostname });
+    }
+  }
+
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked || addresses.length === 0) {
+    throw new UnsafeUrlError('URL resolves to a non-public address', { url, host: hostname, address: blocked });
+  }
+}
+
+/**
+ * Check a URL without throwing
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>}
+ */
+async function isPublicUrl(url) {
+  try {
+    await assertPublicUrl(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * dns.lookup for outgoing sockets that fails when any resolved address is not public
+ * The address checked is the address connected to, so a host that resolves to a
+ * public address for assertPublicUrl and a private one a moment later (DNS
+ * rebinding) is still refused.
+ * @param {string} hostname - Hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, records) => {
+    if (error) return callback(error);
+
+    const blocked = records.find(record => isPrivateAddress(record.address));
+    if (blocked || records.length === 0) {
+      return callback(new UnsafeUrlError('URL resolves to a non-public address', { host: hostname, address: blocked?.address }));
+    }
+
+    if (options.all) return callback(null, records);
+    callback(null, records[0].address, records[0].family);
+  });
+}
+
+const guardedAgent = new Agent({ connect: { lookup: guardedLookup } });
+const proxyAgents = new Map();
+
+/**
+ * Dispatcher that sends requests through an HTTP(S) proxy
+ * The proxy resolves the target itself, so only assertPublicUrl guards it.
+ * @param {Object} proxy - Playwright proxy settings { server, username, password }
+ * @returns {Object} - undici ProxyAgent, one per proxy
+ */
+function proxyAgent(proxy) {
+  const key = `${proxy.username || ''}@${proxy.server}`;
+  if (!proxyAgents.has(key)) {
+    const token = proxy.username
+      ? `Basic ${Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64')}`
+      : undefined;
+    proxyAgents.set(key, new ProxyAgent({ uri: proxy.server, ...(token && { token }) }));
+  }
+  return proxyAgents.get(key);
+}
+
+/**
+ * fetch() that checks the target, and every redirect target, with assertPublicUrl
+ * Redirects are followed manually (up to 5) so each hop is checked before it is
+ * requested, and connections only go to addresses that pass the same check.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options; redirect: 'manual' returns the first response
+ * @param {Object} options.proxy - HTTP(S) proxy to send the request through, as Playwright settings
+ * @returns {Promise<Response>}
+ * @throws {UnsafeUrlError}
+ */
+async function safeFetch(url, options = {}) {
+  const { proxy, ...fetchOptions } = options;
+  const followRedirects = options.redirect !== 'manual';
+  const unguarded = config.security.allowPrivateNetworks || config.scraping.snapshot.mode === 'replay';
+  const dispatcher = proxy ? proxyAgent(proxy) : !unguarded && guardedAgent;
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        ...fetchOptions,
+        redirect: 'manual',
+        ...(dispatcher && { dispatcher })
+      });
+    } catch (error) {
+      // fetch wraps connection errors, including a lookup refused by guardedLookup
+      if (error.cause instanceof UnsafeUrlError) throw error.cause;
+      throw error;
+    }
+    const location = response.headers.get('location');
+
+    if (!followRedirects || response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    current = new URL(location, current).toString();
+  }
+
+  throw new UnsafeUrlError('Too many redirects', { url });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  isPublicUrl,
+  safeFetch
+};
@@ -0,0 +1,130 @@
+const { extractDomain } = require('./helpers');
+
+/**
+ * Page statuses; only ok pages are analyzed
+ */
+const PAGE_STATUSES = ['ok', 'blocked', 'captcha', 'empty', 'error_page', 'redirect_offsite'];
+
+// Titles of captcha and bot-protection interstitials
+const CAPTCHA_TITLES = [
+  /captcha/i,
+  /are you (a )?(human|robot)/i,
+  /human verification/i
+];
+
+const BLOCK_TITLES = [
+  /^attention required/i,
+  /^just a moment\.\.\./i,
+  /^access denied$/i,
+  /you have been blocked/i,
+  /^pardon our interruption/i,
+  /^request rejected$/i
+];
+
+// Phrases only challenge pages use
+const CAPTCHA_PHRASES = [
+  /verify (that )?you are (a )?human/i,
+  /are you a robot\?/i,
+  /complete the security check to access/i,
+  /press (&|and) hold/i
+];
+
+const BLOCK_PHRASES = [
+  /checking (if the site connection is secure|your browser before accessing)/i,
+  /you have been blocked/i,
+  /access to this page has been denied/i,
+  /request unsuccessful\. incapsula/i,
+  /unusual traffic from your (computer|network)/i,
+  /ddos protection by/i,
+  /you don'?t have permission to access .* on this server/i
+];
+
+const SCRIPT_REQUIRED = /(enable|turn on|requires?)\s+javascript/i;
+const SOFT_ERROR_TITLE = /\b(404|page not found|not found|error 5\d\d|server error)\b/i;
+
+// Titles and phrases only count on pages this short (no main content), so a
+// "protected by reCAPTCHA" footer or an article about captchas is not a challenge
+const INTERSTITIAL_MAX_LENGTH = 3000;
+const EMPTY_MAX_LENGTH = 50;
+const SCRIPT_SHELL_MAX_LENGTH = 300;
+
+/**
+ * Check whether a redirect left the site (subdomains of either side are fine)
+ * @param {string} url - Requested URL
+ * @param {string} finalUrl - URL after redirects
+ * @returns {boolean}
+ */
+function isOffsite(url, finalUrl) {
+  const from = extractDomain(url);
+  const to = extractDomain(finalUrl);
+  if (!from || !to || from === to) return false;
+  return !to.endsWith(`.${from}`) && !from.endsWith(`.${to}`);
+}
+
+/**
+ * Classify a scraped page so block pages, captchas and error pages don't reach analysis
+ * @param {Object} page - Page with url, title, content and, when known, finalUrl,
+ *   httpStatus and challengeMarkers ({ captcha, challenge } selector matches)
+ * @returns {Object} - { status, statusReason } with status from PAGE_STATUSES
+ */
+function classifyPage(page) {
+  const title = page.title || '';
+  const content = (page.content || '').trim();
+  const interstitial = content.length <= INTERSTITIAL_MAX_LENGTH;
+  const markers = page.challengeMarkers || {};
+  const matches = (titles, phrases) => interstitial &&
+    (titles.some(pattern => pattern.test(title)) || phrases.some(pattern => pattern.test(content)));
+
+  if (page.finalUrl && isOffsite(page.url, page.finalUrl)) {
+    return { status: 'redirect_offsite', statusReason: extractDomain(page.finalUrl) };
+  }
+
+  // Captcha widgets inside forms are not collected as markers (see detectChallengeMarkers)
+  if (interstitial && markers.captcha?.length) {
+    return { status: 'captcha', statusReason: markers.captcha[0] };
+  }
+  if (matches(CAPTCHA_TITLES, CAPTCHA_PHRASES)) {
+    return { status: 'captcha', statusReason: 'text' };
+  }
+
+  if (interstitial && markers.challenge?.length) {
+    return { status: 'blocked', statusReason: markers.challenge[0] };
+  }
+  if (matches(BLOCK_TITLES, BLOCK_PHRASES)) {
+    return { status: 'blocked', statusReason: 'text' };
+  }
+  if ([401, 403, 429].includes(page.httpStatus)) {
+    return { status: 'blocked', statusReason: `http_${page.httpStatus}` };
+  }
+
+  if (page.httpStatus >= 400) {
+    return { status: 'error_page', statusReason: `http_${page.httpStatus}` };
+  }
+  if (interstitial && SOFT_ERROR_TITLE.test(title)) {
+    return { status: 'error_page', statusReason: 'soft_error' };
+  }
+
+  if (content.length <= SCRIPT_SHELL_MAX_LENGTH && SCRIPT_REQUIRED.test(content)) {
+    return { status: 'empty', statusReason: 'javascript_required' };
+  }
+  if (content.length <= EMPTY_MAX_LENGTH) {
+    return { status: 'empty', statusReason: 'no_text' };
+  }
+
+  return { status: 'ok', statusReason: null };
+}
+
+/**
+ * Check whether a page may be analyzed (pages cached before classification count as ok)
+ * @param {Object} page - Scraped page
+ * @returns {boolean}
+ */
+function isUsablePage(page) {
+  return !page.status || page.status === 'ok';
+}
+
+module.exports = {
+  PAGE_STATUSES,
+  classifyPage,
+  isUsablePage
+};
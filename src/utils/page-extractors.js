@@ -0,0 +1,305 @@
+/**
+ * DOM extraction functions
+ *
+ * These are serialized into the page by Playwright's page.evaluate, so each
+ * one must be self-contained: no closures over module scope and no requires.
+ * They take the document as an optional argument so they can also run
+ * against a server-side DOM.
+ */
+
+/**
+ * Collect links from the rendered page, nav and footer links first
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Array} - Absolute link URLs
+ */
+function collectPageLinks(doc) {
+  const root = doc || document;
+  const regionOrder = { nav: 0, footer: 1, body: 2 };
+  const regionOf = el => {
+    if (el.closest('nav, header')) return 'nav';
+    if (el.closest('footer')) return 'footer';
+    return 'body';
+  };
+
+  return Array.from(root.querySelectorAll('a[href]'))
+    .map(a => ({ href: a.href, region: regionOf(a) }))
+    .sort((a, b) => regionOrder[a.region] - regionOrder[b.region])
+    .map(link => link.href);
+}
+
+/**
+ * Extract raw structured metadata: meta tags, OpenGraph, Twitter cards,
+ * canonical/hreflang links and JSON-LD blocks
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Object} - Raw metadata with unresolved URLs
+ */
+function extractStructuredData(doc) {
+  const root = doc || document;
+  const content = selector => {
+    const el = root.querySelector(selector);
+    const value = el && el.getAttribute('content');
+    return value ? value.trim() : null;
+  };
+  const collect = (attr, prefix) => {
+    const values = {};
+    root.querySelectorAll(`meta[${attr}^="${prefix}"]`).forEach(el => {
+      const key = el.getAttribute(attr).slice(prefix.length);
+      const value = el.getAttribute('content');
+      if (key && value && !(key in values)) {
+        values[key] = value.trim();
+      }
+    });
+    return values;
+  };
+
+  const jsonLd = [];
+  root.querySelectorAll('script[type="application/ld+json"]').forEach(el => {
+    try {
+      jsonLd.push(JSON.parse(el.textContent));
+    } catch (error) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+
+  const canonical = root.querySelector('link[rel="canonical"]');
+
+  return {
+    description: content('meta[name="description"]'),
+    canonical: canonical ? canonical.getAttribute('href') : null,
+    openGraph: collect('property', 'og:'),
+    twitter: collect('name', 'twitter:'),
+    hreflang: Array.from(root.querySelectorAll('link[rel="alternate"][hreflang]')).map(el => ({
+      lang: el.getAttribute('hreflang'),
+      href: el.getAttribute('href')
+    })),
+    jsonLd
+  };
+}
+
+/**
+ * Extract raw visual identity signals from computed styles: colors of
+ * buttons, headings, text and backgrounds, font stacks, and logo candidates
+ * Needs a rendering engine (getComputedStyle and layout boxes).
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Object} - Raw color samples, fonts and logo candidates
+ */
+function extractVisualIdentity(doc) {
+  const root = doc || document;
+  const view = root.defaultView || window;
+  const colors = [];
+  const fonts = { headings: [], body: [], buttons: [] };
+
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 ? rect : null;
+  };
+  const sample = (selector, role, property, limit) => {
+    Array.from(root.querySelectorAll(selector)).slice(0, limit).forEach(el => {
+      const rect = visible(el);
+      if (!rect) return;
+      const style = view.getComputedStyle(el);
+      colors.push({
+        role,
+        color: style[property],
+        // Cap area so one full-bleed section can't drown out everything else
+        weight: Math.min(rect.width * rect.height, 250000)
+      });
+    });
+  };
+  const fontsOf = (selector, limit) => Array.from(root.querySelectorAll(selector))
+    .slice(0, limit)
+    .filter(visible)
+    .map(el => view.getComputedStyle(el).fontFamily);
+
+  const buttonSelector = 'button, [role="button"], input[type="submit"], a[class*="btn"], a[class*="button"]';
+  sample(buttonSelector, 'button', 'backgroundColor', 40);
+  sample('h1, h2, h3', 'heading', 'color', 30);
+  sample('p, li', 'text', 'color', 50);
+  sample('body, header, main, section, footer', 'background', 'backgroundColor', 30);
+
+  fonts.headings = fontsOf('h1, h2, h3', 20);
+  fonts.body = fontsOf('body, p', 30);
+  fonts.buttons = fontsOf(buttonSelector, 20);
+
+  // Selectors are in preference order, so try them one at a time
+  const firstMatch = selectors => {
+    for (const selector of selectors) {
+      const el = root.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  };
+  const logoImage = firstMatch([
+    'header img[src*="logo" i], header img[alt*="logo" i], header img[class*="logo" i]',
+    '[class*="logo" i] img, img[class*="logo" i], img[alt*="logo" i]',
+    'header img, nav img'
+  ]);
+  const logoSvg = firstMatch([
+    'header [class*="logo" i] svg, header a[href="/"] svg',
+    '[class*="logo" i] svg',
+    'header svg'
+  ]);
+  const link = selector => {
+    const el = root.querySelector(selector);
+    return el ? el.getAttribute('href') : null;
+  };
+
+  return {
+    colors,
+    fonts,
+    logo: {
+      image: logoImage ? (logoImage.currentSrc || logoImage.getAttribute('src')) : null,
+      imageAlt: logoImage ? logoImage.getAttribute('alt') : null,
+      svg: logoSvg ? logoSvg.outerHTML.slice(0, 20000) : null,
+      appleTouchIcon: link('link[rel~="apple-touch-icon"], link[rel="apple-touch-icon-precomposed"]'),
+      favicon: link('link[rel~="icon"]')
+    }
+  };
+}
+
+/**
+ * Extract raw pricing plan cards and pricing tables
+ * A card is the largest ancestor of a price that still holds a single plan
+ * heading (and at most a monthly/annual price pair) plus a feature list.
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Object} - { cards, tables } with raw text
+ */
+function extractPricingBlocks(doc) {
+  const root = doc || document;
+  const pricePattern = /(?:[$€£¥₹]\s?\d|\d[\d.,]*\s?(?:[$€£¥₹]|USD|EUR|GBP|AUD|CAD)\b|\b(?:USD|EUR|GBP|AUD|CAD)\s?\d|^\s*free\s*$)/i;
+  const textOf = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+  const ownText = el => Array.from(el.childNodes)
+    .filter(node => node.nodeType === 3)
+    .map(node => node.textContent)
+    .join(' ');
+
+  const priceElements = Array.from(root.querySelectorAll('body *'))
+    .filter(el => !['SCRIPT', 'STYLE', 'TABLE', 'TR', 'TD', 'TH'].includes(el.tagName))
+    .filter(el => !el.closest('table'))
+    .filter(el => pricePattern.test(ownText(el)) || (el.children.length === 0 && pricePattern.test(textOf(el))));
+
+  const cards = [];
+  const seen = new Set();
+
+  for (const priceEl of priceElements) {
+    let card = null;
+    let node = priceEl.parentElement;
+
+    for (let depth = 0; node && node !== root.body && depth < 8; depth++) {
+      const pricesInside = priceElements.filter(el => node.contains(el)).length;
+      if (pricesInside > 2 || node.querySelectorAll('h2, h3, h4, h5').length > 1) break;
+      if (node.querySelector('li') && node.querySelector('h2, h3, h4, h5, [class*="name" i], [class*="title" i]')) {
+        card = node;
+      }
+      node = node.parentElement;
+    }
+
+    if (!card || seen.has(card)) continue;
+    seen.add(card);
+
+    const heading = card.querySelector('h2, h3, h4, h5, [class*="name" i], [class*="title" i]');
+    cards.push({
+      name: heading ? textOf(heading) : null,
+      priceText: textOf(priceEl),
+      text: textOf(card).slice(0, 1500),
+      features: Array.from(card.querySelectorAll('li')).slice(0, 30).map(textOf).filter(Boolean)
+    });
+  }
+
+  const tables = Array.from(root.querySelectorAll('table'))
+    .filter(table => pricePattern.test(textOf(table)))
+    .slice(0, 5)
+    .map(table => Array.from(table.querySelectorAll('tr')).slice(0, 60).map(row =>
+      Array.from(row.querySelectorAll('th, td')).map(cell => {
+        const text = textOf(cell);
+        // Check marks are often icons with no text
+        if (!text && cell.querySelector('svg, img, [class*="check" i]')) return '✓';
+        return text;
+      })
+    ));
+
+  return { cards, tables };
+}
+
+/**
+ * Find markup left by captcha widgets and bot-protection interstitials
+ * Captcha widgets inside a form (contact, signup, login) are part of the page,
+ * not a challenge, and are left out.
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Object} - { captcha, challenge } lists of matched selectors
+ */
+function detectChallengeMarkers(doc) {
+  const root = doc || document;
+  const matched = selectors => selectors.filter(selector => root.querySelector(selector));
+  const outsideForms = selectors => selectors.filter(selector =>
+    Array.from(root.querySelectorAll(selector)).some(el => !el.closest('form'))
+  );
+
+  return {
+    captcha: outsideForms([
+      'iframe[src*="recaptcha"]',
+      '.g-recaptcha',
+      'iframe[src*="hcaptcha"]',
+      '.h-captcha',
+      '.cf-turnstile',
+      '#px-captcha',
+      'iframe[src*="captcha-delivery.com"]'
+    ]),
+    challenge: matched([
+      '#challenge-form',
+      '#challenge-running',
+      '#cf-challenge-running',
+      '.cf-browser-verification',
+      'iframe[src*="challenges.cloudflare.com"]',
+      'iframe[src*="_Incapsula_Resource"]',
+      'script[src*="/_Incapsula_Resource"]'
+    ])
+  };
+}
+
+/**
+ * Extract the hero copy a visitor sees first: the main headline and the
+ * call-to-action labels, skipping elements hidden at the current viewport
+ * so desktop and mobile renders of a page can be compared
+ * @param {Document} doc - Document to read (defaults to the page document)
+ * @returns {Object} - { headline, ctas } with CTA labels in document order
+ */
+function extractHeroCopy(doc) {
+  const root = doc || document;
+  const view = root.defaultView;
+  const textOf = el => (el.textContent || el.value || '').replace(/\s+/g, ' ').trim();
+  // Server-side DOMs have no layout, so everything counts as visible there
+  const visible = el => {
+    if (!view || typeof view.getComputedStyle !== 'function' || !view.innerWidth) return true;
+    const style = view.getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+  const first = selector => Array.from(root.querySelectorAll(selector)).find(el => visible(el) && textOf(el));
+
+  const heading = first('main h1, h1') || first('main h2, h2');
+
+  const ctas = [];
+  const ctaSelector = 'button, [role="button"], input[type="submit"], a[class*="btn" i], a[class*="button" i], a[class*="cta" i]';
+  root.querySelectorAll(ctaSelector).forEach(el => {
+    if (ctas.length >= 8 || el.closest('footer, form[role="search"], [class*="cookie" i], [id*="consent" i]')) return;
+    const label = textOf(el);
+    if (label.length < 2 || label.length > 60 || ctas.includes(label) || !visible(el)) return;
+    ctas.push(label);
+  });
+
+  return {
+    headline: heading ? textOf(heading).slice(0, 300) : null,
+    ctas
+  };
+}
+
+module.exports = {
+  collectPageLinks,
+  extractStructuredData,
+  extractVisualIdentity,
+  extractPricingBlocks,
+  detectChallengeMarkers,
+  extractHeroCopy
+};
@@ -0,0 +1,207 @@
+/**
+ * Currency symbols and codes mapped to ISO 4217
+ */
+const CURRENCIES = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  USD: 'USD',
+  EUR: 'EUR',
+  GBP: 'GBP',
+  AUD: 'AUD',
+  CAD: 'CAD'
+};
+
+// A price needs a currency right next to the amount; bare numbers are seat counts, limits and the like
+const PREFIX_PRICE_PATTERN = /([$€£¥₹]|\b(?:USD|EUR|GBP|AUD|CAD))\s?(\d[\d.,]*)/i;
+const SUFFIX_PRICE_PATTERN = /(\d[\d.,]*)\s?([$€£¥₹]|(?:USD|EUR|GBP|AUD|CAD)\b)/i;
+const FREE_PATTERN = /\bfree\b/i;
+const CUSTOM_PATTERN = /\b(contact (us|sales)|custom|let'?s talk|get a quote|request (a )?quote)\b/i;
+const PRICING_PATH = /(pricing|plans|prices|tarif|preise|precios)/i;
+const CHECK_MARK = /^(✓|✔|✅|yes|included|✓ included)$/i;
+
+/**
+ * Check whether a URL looks like a pricing page
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function isPricingUrl(url) {
+  try {
+    return PRICING_PATH.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a localized number like 1,299.00 or 12,99
+ * @param {string} value - Number text
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+  let normalized = value.replace(/[.,]$/, '');
+
+  if (/^\d{1,3}([.,]\d{3})+$/.test(normalized)) {
+    // Thousands separators only
+    normalized = normalized.replace(/[.,]/g, '');
+  } else if (/,\d{1,2}$/.test(normalized)) {
+    // Decimal comma
+    normalized = normalized.replace(/\./g, '').replace(',', '.');
+  } else {
+    normalized = normalized.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(normalized);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+/**
+ * Detect the billing period in price text
+ * @param {string} text - Text around the price
+ * @returns {string|null} - month, year, week, day, one_time or null
+ */
+function parsePeriod(text) {
+  if (/(\/|\bper\b|\bpro\b|\bpar\b|\ba\b|\beach\b)\s*(mo\b|month|monat|mois)|monthly|mensuel|monatlich/i.test(text)) return 'month';
+  if (/(\/|\bper\b|\bpro\b|\bpar\b|\ba\b|\beach\b)\s*(yr\b|year|annum|jahr|an\b)|annually|yearly|jährlich/i.test(text)) return 'year';
+  if (/(\/|\bper\b|\ba\b)\s*(wk\b|week)|weekly/i.test(text)) return 'week';
+  if (/(\/|\bper\b|\ba\b)\s*day|daily/i.test(text)) return 'day';
+  if (/one[- ]time|lifetime|once/i.test(text)) return 'one_time';
+  return null;
+}
+
+/**
+ * Find the first amount with a currency, preferring a leading symbol or code ($10, USD 10)
+ * over a trailing one (10 €), so "5 $10" reads as $10
+ * @param {string} text - Price text
+ * @returns {Object|null} - { amount, currencyToken }
+ */
+function findPrice(text) {
+  const prefix = PREFIX_PRICE_PATTERN.exec(text);
+  if (prefix) return { amount: prefix[2], currencyToken: prefix[1] };
+
+  const suffix = SUFFIX_PRICE_PATTERN.exec(text);
+  if (suffix) return { amount: suffix[1], currencyToken: suffix[2] };
+
+  return null;
+}
+
+/**
+ * Parse a price out of text
+ * @param {string} text - Price text
+ * @param {string} context - Surrounding text used for the billing period
+ * @returns {Object} - { price, currency, period }
+ */
+function parsePrice(text, context = '') {
+  const match = findPrice(text || '');
+
+  if (match) {
+    return {
+      price: parseAmount(match.amount),
+      currency: CURRENCIES[match.currencyToken.toUpperCase()] || CURRENCIES[match.currencyToken] || null,
+      period: parsePeriod(text) || parsePeriod(context)
+    };
+  }
+
+  if (FREE_PATTERN.test(text)) {
+    return { price: 0, currency: null, period: null };
+  }
+
+  return { price: null, currency: null, period: null };
+}
+
+/**
+ * Convert a raw pricing card to a plan
+ * @param {Object} card - { name, priceText, text, features }
+ * @returns {Object|null} - Plan or null when no name could be found
+ */
+function parseCard(card) {
+  if (!card.name) return null;
+
+  const { price, currency, period } = parsePrice(card.priceText, card.text);
+  if (price === null && !CUSTOM_PATTERN.test(card.text)) return null;
+
+  return {
+    plan: card.name.slice(0, 80),
+    price,
+    currency,
+    period,
+    features: card.features
+      .filter(feature => feature.length <= 200)
+      .slice(0, 20)
+  };
+}
+
+/**
+ * Convert a pricing comparison table (plans as columns) to plans
+ * @param {Array} rows - Table rows as arrays of cell text
+ * @returns {Array} - Plans
+ */
+function parseTable(rows) {
+  if (rows.length < 2) return [];
+
+  const header = rows[0];
+  const planNames = header.slice(1);
+  if (planNames.length === 0 || planNames.every(name => !name)) return [];
+
+  const plans = planNames.map(name => ({
+    plan: name,
+    price: null,
+    currency: null,
+    period: null,
+    features: []
+  }));
+
+  for (const row of rows.slice(1)) {
+    const [label, ...cells] = row;
+
+    cells.forEach((cell, index) => {
+      const plan = plans[index];
+      if (!plan || !cell) return;
+
+      if (plan.price === null) {
+        const parsed = parsePrice(cell, label);
+        if (parsed.price !== null) {
+          Object.assign(plan, parsed);
+          return;
+        }
+      }
+
+      if (label && CHECK_MARK.test(cell)) {
+        plan.features.push(label);
+      } else if (label && !/^(✗|✘|—|-|no)$/i.test(cell) && plan.features.length < 20) {
+        plan.features.push(`${label}: ${cell}`);
+      }
+    });
+  }
+
+  return plans.filter(plan => plan.plan && (plan.price !== null || plan.features.length > 0));
+}
+
+/**
+ * Parse raw pricing blocks into structured plans
+ * @param {Object} raw - Output of extractPricingBlocks
+ * @returns {Array} - { plan, price, currency, period, features[] } plans
+ */
+function parsePricing(raw) {
+  const plans = [
+    ...raw.cards.map(parseCard).filter(Boolean),
+    ...raw.tables.flatMap(parseTable)
+  ];
+
+  // Monthly/annual toggles often render every card twice
+  const seen = new Set();
+  return plans.filter(plan => {
+    const key = `${plan.plan.toLowerCase()}|${plan.price}|${plan.period}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  isPricingUrl,
+  parsePrice,
+  parsePricing
+};
@@ -0,0 +1,110 @@
+/**
+ * Analytics, advertising and session-recording hosts that never carry page
+ * content. Subdomains are matched too.
+ */
+const TRACKER_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'facebook.net',
+  'connect.facebook.com',
+  'analytics.tiktok.com',
+  'snap.licdn.com',
+  'ads.linkedin.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'fullstory.com',
+  'mouseflow.com',
+  'segment.com',
+  'segment.io',
+  'mixpanel.com',
+  'amplitude.com',
+  'heapanalytics.com',
+  'hs-analytics.net',
+  'hs-scripts.com',
+  'hsadspixel.net',
+  'optimizely.com',
+  'nr-data.net',
+  'adroll.com',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'quantserve.com',
+  'scorecardresearch.com',
+  'intercom.io',
+  'intercomcdn.com',
+  'drift.com',
+  'crisp.chat'
+];
+
+/**
+ * Rough transfer size of a request we did not make, by resource type
+ * Aborted requests never report a size, so these averages are all
+ * scrape_blocked_bytes_estimated_total has to go on; it is not a measurement.
+ */
+const ESTIMATED_BYTES = {
+  image: 60000,
+  media: 750000,
+  font: 35000,
+  script: 25000,
+  stylesheet: 15000,
+  xhr: 2000,
+  fetch: 2000,
+  other: 5000
+};
+
+/**
+ * Check whether a hostname is one of the given hosts or a subdomain of one
+ * @param {string} hostname - Request hostname
+ * @param {Array} hosts - Host names
+ * @returns {boolean}
+ */
+function matchesHost(hostname, hosts) {
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Decide whether a browser request should be aborted
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Playwright resource type (document, image, font, ...)
+ * @param {Object} rules - Interception rules
+ * @param {Array} rules.blockResourceTypes - Resource types to abort
+ * @param {Array} rules.blockHosts - Extra hosts to abort on top of TRACKER_HOSTS
+ * @param {Array} rules.allowHosts - Hosts that are never blocked
+ * @returns {string|null} - Block reason (resource_type, tracker) or null to let it through
+ */
+function blockReason(url, resourceType, rules) {
+  if (resourceType === 'document') return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  if (matchesHost(hostname, rules.allowHosts)) return null;
+  if (matchesHost(hostname, TRACKER_HOSTS) || matchesHost(hostname, rules.blockHosts)) return 'tracker';
+  if (rules.blockResourceTypes.includes(resourceType)) return 'resource_type';
+
+  return null;
+}
+
+/**
+ * Estimate the bytes a blocked request would have transferred
+ * @param {string} resourceType - Playwright resource type
+ * @returns {number}
+ */
+function estimateBlockedBytes(resourceType) {
+  return ESTIMATED_BYTES[resourceType] || ESTIMATED_BYTES.other;
+}
+
+module.exports = {
+  TRACKER_HOSTS,
+  blockReason,
+  estimateBlockedBytes
+};
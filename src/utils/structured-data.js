@@ -0,0 +1,130 @@
+const { resolveUrl } = require('./helpers');
+
+/**
+ * Flatten JSON-LD documents into a list of typed nodes
+ * Handles top-level arrays and @graph containers
+ * @param {Array} documents - Parsed JSON-LD blocks
+ * @returns {Array} - Nodes with an @type
+ */
+function flattenJsonLd(documents) {
+  const nodes = [];
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (value['@graph']) visit(value['@graph']);
+      if (value['@type']) nodes.push(value);
+    }
+  };
+  visit(documents);
+  return nodes;
+}
+
+/**
+ * Check a JSON-LD node's @type (which may be an array)
+ * @param {Object} node - JSON-LD node
+ * @param {Array} types - Accepted type names
+ * @returns {boolean}
+ */
+function hasType(node, types) {
+  const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return nodeTypes.some(type => types.includes(type));
+}
+
+/**
+ * Read a plain text value from a JSON-LD property
+ * @param {any} value - Property value (string, object with name, or array)
+ * @returns {string|null}
+ */
+function textValue(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return textValue(value[0]);
+  if (typeof value === 'object') return textValue(value.name || value['@value']);
+  return String(value);
+}
+
+/**
+ * Read a URL value from a JSON-LD property (string or ImageObject)
+ * @param {any} value - Property value
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null}
+ */
+function urlValue(value, baseUrl) {
+  if (!value) return null;
+  if (Array.isArray(value)) return urlValue(value[0], baseUrl);
+  if (typeof value === 'object') return resolveUrl(value.url || value.contentUrl || value['@id'], baseUrl);
+  return resolveUrl(value, baseUrl);
+}
+
+/**
+ * Normalize a JSON-LD Offer or AggregateOffer
+ * @param {Object} offer - Offer node
+ * @returns {Object} - { price, currency, availability }
+ */
+function normalizeOffer(offer) {
+  const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? null;
+  return {
+    price: price !== null ? String(price) : null,
+    currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+    availability: textValue(offer.availability)?.replace(/^https?:\/\/schema\.org\//, '') || null
+  };
+}
+
+/**
+ * Normalize raw page metadata into the structured object stored on each page
+ * @param {Object} raw - Output of extractStructuredData
+ * @param {string} pageUrl - Page URL for resolving relative links
+ * @returns {Object} - Structured metadata
+ */
+function normalizeStructuredData(raw, pageUrl) {
+  const nodes = flattenJsonLd(raw.jsonLd || []);
+
+  const organizationNode = nodes.find(node =>
+    hasType(node, ['Organization', 'Corporation', 'OnlineStore', 'Brand', 'LocalBusiness'])
+  );
+  const organization = organizationNode ? {
+    name: textValue(organizationNode.name),
+    url: resolveUrl(organizationNode.url, pageUrl),
+    logo: urlValue(organizationNode.logo, pageUrl),
+    description: textValue(organizationNode.description),
+    sameAs: [].concat(organizationNode.sameAs || []).filter(link => typeof link === 'string')
+  } : null;
+
+  const products = nodes
+    .filter(node => hasType(node, ['Product']))
+    .map(node => ({
+      name: textValue(node.name),
+      description: textValue(node.description),
+      brand: textValue(node.brand),
+      image: urlValue(node.image, pageUrl),
+      offers: [].concat(node.offers || []).filter(Boolean).map(normalizeOffer)
+    }));
+
+  const offers = [
+    ...nodes.filter(node => hasType(node, ['Offer', 'AggregateOffer'])).map(normalizeOffer),
+    ...products.flatMap(product => product.offers)
+  ];
+
+  const openGraph = { ...raw.openGraph };
+  if (openGraph.image) openGraph.image = resolveUrl(openGraph.image, pageUrl);
+  if (openGraph.url) openGraph.url = resolveUrl(openGraph.url, pageUrl);
+
+  return {
+    description: raw.description || null,
+    canonical: resolveUrl(raw.canonical, pageUrl),
+    openGraph,
+    twitter: { ...raw.twitter },
+    hreflang: (raw.hreflang || [])
+      .map(link => ({ lang: link.lang, href: resolveUrl(link.href, pageUrl) }))
+      .filter(link => link.lang && link.href),
+    organization,
+    products,
+    offers
+  };
+}
+
+module.exports = {
+  normalizeStructuredData,
+  flattenJsonLd
+};
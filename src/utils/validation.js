@@ -13,6 +13,30 @@ const brandSummarySchema = {
       type: 'string',
       format: 'uri',
       pattern: '^https?://'
+    },
+    crawl: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        max_depth: { type: 'integer', minimum: 0, maximum: 5 },
+        max_pages: { type: 'integer', minimum: 1, maximum: 200 },
+        include: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 20 },
+        exclude: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 20 }
+      },
+      additionalProperties: false
+    },
+    devices: {
+      type: 'array',
+      items: { type: 'string', enum: ['desktop', 'mobile'] },
+      uniqueItems: true,
+      minItems: 1
+    },
+    locales: {
+      type: 'array',
+      items: { type: 'string', pattern: '^[a-z]{2,3}(-[A-Z]{2})?$' },
+      uniqueItems: true,
+      minItems: 1,
+      maxItems: 5
     }
   },
   required: ['brand_url'],
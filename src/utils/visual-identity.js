@@ -0,0 +1,116 @@
+const { resolveUrl } = require('./helpers');
+
+/**
+ * Convert a computed CSS color to hex
+ * @param {string} value - Computed color like rgb(0, 0, 0) or rgba(0, 0, 0, 0.5)
+ * @returns {string|null} - #rrggbb, or null for transparent/unparseable colors
+ */
+function toHex(value) {
+  const match = /rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:[,\s/]+([\d.]+))?\s*\)/.exec(value || '');
+  if (!match) return null;
+
+  const alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (alpha < 0.5) return null;
+
+  return '#' + match.slice(1, 4)
+    .map(channel => parseInt(channel, 10).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Check whether a hex color is close to white, black or gray
+ * @param {string} hex - #rrggbb color
+ * @returns {boolean}
+ */
+function isNeutral(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return Math.max(r, g, b) - Math.min(r, g, b) < 24;
+}
+
+/**
+ * Rank colors by accumulated weight
+ * @param {Array} samples - { color, weight } samples
+ * @returns {Array} - Hex colors, heaviest first
+ */
+function rankColors(samples) {
+  const totals = new Map();
+  for (const { color, weight } of samples) {
+    const hex = toHex(color);
+    if (!hex) continue;
+    totals.set(hex, (totals.get(hex) || 0) + weight);
+  }
+  return [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([hex]) => hex);
+}
+
+/**
+ * Reduce computed font-family stacks to distinct primary families
+ * @param {Array} stacks - font-family values
+ * @returns {Array} - Family names, most used first
+ */
+function rankFonts(stacks) {
+  const counts = new Map();
+  for (const stack of stacks) {
+    const family = (stack || '').split(',')[0].trim().replace(/^["']|["']$/g, '');
+    if (!family) continue;
+    counts.set(family, (counts.get(family) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([family]) => family);
+}
+
+/**
+ * Normalize raw visual identity signals into the brand's visual_identity block
+ * @param {Object} raw - Output of extractVisualIdentity
+ * @param {string} pageUrl - Page URL for resolving logo links
+ * @returns {Object} - { colors, fonts, logo }
+ */
+function normalizeVisualIdentity(raw, pageUrl) {
+  const byRole = role => raw.colors.filter(sample => sample.role === role);
+
+  const buttons = rankColors(byRole('button'));
+  const headings = rankColors(byRole('heading'));
+  const text = rankColors(byRole('text'));
+  const backgrounds = rankColors(byRole('background'));
+  const palette = rankColors(raw.colors).slice(0, 8);
+
+  // The brand color is usually the most used saturated button or heading color
+  const primary = [...buttons, ...headings, ...palette].find(hex => !isNeutral(hex)) || buttons[0] || null;
+
+  const logo = raw.logo;
+  let logoResult;
+  if (logo.image) {
+    logoResult = { url: resolveUrl(logo.image, pageUrl), source: 'header_img', alt: logo.imageAlt || null };
+  } else if (logo.svg) {
+    logoResult = { url: null, source: 'header_svg', svg: logo.svg };
+  } else if (logo.appleTouchIcon) {
+    logoResult = { url: resolveUrl(logo.appleTouchIcon, pageUrl), source: 'apple_touch_icon' };
+  } else {
+    logoResult = { url: resolveUrl(logo.favicon || '/favicon.ico', pageUrl), source: 'favicon' };
+  }
+
+  return {
+    colors: {
+      primary,
+      background: backgrounds[0] || null,
+      text: text[0] || null,
+      heading: headings[0] || null,
+      button: buttons[0] || null,
+      palette
+    },
+    fonts: {
+      headings: rankFonts(raw.fonts.headings),
+      body: rankFonts(raw.fonts.body),
+      buttons: rankFonts(raw.fonts.buttons)
+    },
+    logo: logoResult,
+    icons: {
+      apple_touch_icon: resolveUrl(logo.appleTouchIcon, pageUrl),
+      favicon: resolveUrl(logo.favicon || '/favicon.ico', pageUrl)
+    },
+    source_url: pageUrl
+  };
+}
+
+module.exports = {
+  normalizeVisualIdentity,
+  toHex
+};
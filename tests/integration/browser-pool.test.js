@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { chromium } = require('playwright');
+
+process.env.OPENAI_API_KEY ??= 'test';
+process.env.API_KEY ??= 'test';
+process.env.DATABASE_URL ??= 'postgres://localhost/test';
+process.env.REDIS_URL ??= 'redis://localhost';
+process.env.LOG_LEVEL = 'silent';
+
+const WS_PATH = 'browser-pool-test';
+
+// Needs a Chromium build (npx playwright install chromium)
+const describeWithBrowser = fs.existsSync(chromium.executablePath()) ? describe : describe.skip;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 50 ms
+ * @param {number} timeout - Milliseconds before giving up
+ */
+async function waitFor(condition, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describeWithBrowser('browser pool with a remote browser server', () => {
+  let server;
+  let port;
+  let browserPool;
+
+  beforeAll(async () => {
+    server = await chromium.launchServer({ wsPath: WS_PATH });
+    port = new URL(server.wsEndpoint()).port;
+    process.env.BROWSER_ENDPOINTS = server.wsEndpoint();
+
+    browserPool = require('../../src/services/browser-pool.service');
+    await browserPool.init();
+  }, 30000);
+
+  afterAll(async () => {
+    await browserPool?.close();
+    await server?.close();
+  });
+
+  it('connects to the endpoint and renders a page', async () => {
+    expect(browserPool.getStats().endpoints).toEqual([
+      expect.objectContaining({ slots: 1, ready: 1, restarts: 0 })
+    ]);
+
+    const browserObj = await browserPool.getBrowser();
+    const context = await browserPool.getContext(browserObj);
+    const page = await context.newPage();
+    await page.goto('data:text/html,<title>Pool</title>');
+
+    expect(await page.title()).toBe('Pool');
+
+    await browserPool.releaseContext(context, browserObj);
+    browserPool.releaseBrowser(browserObj);
+  }, 30000);
+
+  it('does not recycle remote browsers by context count', async () => {
+    const browserObj = await browserPool.getBrowser();
+    const { browser } = browserObj;
+    browserObj.contexts = Number.MAX_SAFE_INTEGER;
+
+    browserPool.releaseBrowser(browserObj);
+
+    expect(browserObj.browser).toBe(browser);
+    expect(browserPool.getStats().endpoints[0].restarts).toBe(0);
+  });
+
+  it('reconnects after the server goes away and comes back', async () => {
+    const [slot] = browserPool.browsers;
+
+    await server.close();
+    await waitFor(() => slot.state === 'failed');
+    expect(browserPool.getStats().endpoints[0]).toEqual(
+      expect.objectContaining({ ready: 0, lastFailure: expect.any(Object) })
+    );
+
+    server = await chromium.launchServer({ port: Number(port), wsPath: WS_PATH });
+    await browserPool.probe();
+
+    expect(slot.state).toBe('ready');
+    expect(browserPool.getStats().endpoints[0]).toEqual(
+      expect.objectContaining({ ready: 1, restarts: 1 })
+    );
+
+    const browserObj = await browserPool.getBrowser({ timeout: 5000 });
+    expect(browserObj).toBe(slot);
+    browserPool.releaseBrowser(browserObj);
+  }, 30000);
+});
@@ -0,0 +1,86 @@
+const { stripBoilerplate } = require('../../src/utils/boilerplate');
+
+const COOKIE_NOTICE = 'We use cookies to improve your experience. Accept all';
+const CTA = 'Start your free trial';
+
+/**
+ * Page whose text is the given lines
+ * @param {string} path - URL path
+ * @param {Array<string>} lines - Text lines
+ */
+function page(path, lines) {
+  return { url: `https://example.com${path}`, content: lines.join('\n') };
+}
+
+describe('stripBoilerplate', () => {
+  it('removes lines repeated on most pages and keeps page-specific text', () => {
+    const pages = [
+      page('/', [COOKIE_NOTICE, 'Acme builds rockets.', CTA]),
+      page('/about', [COOKIE_NOTICE, 'Founded in 1999.', CTA]),
+      page('/pricing', [COOKIE_NOTICE, 'Pro costs $10.', CTA]),
+      page('/blog', [COOKIE_NOTICE, 'Launch notes.'])
+    ];
+
+    const { pages: cleaned, boilerplate } = stripBoilerplate(pages);
+
+    expect(cleaned.map(p => p.content)).toEqual([
+      'Acme builds rockets.',
+      'Founded in 1999.',
+      'Pro costs $10.',
+      'Launch notes.'
+    ]);
+    expect(boilerplate).toEqual([
+      { text: COOKIE_NOTICE, pages: 4 },
+      { text: CTA, pages: 3 }
+    ]);
+  });
+
+  it('matches lines regardless of case and whitespace', () => {
+    const pages = [
+      page('/', ['Sign  up today', 'One']),
+      page('/a', ['sign up today ', 'Two']),
+      page('/b', ['SIGN UP TODAY', 'Three'])
+    ];
+
+    const { pages: cleaned, boilerplate } = stripBoilerplate(pages);
+
+    expect(cleaned.map(p => p.content)).toEqual(['One', 'Two', 'Three']);
+    expect(boilerplate).toEqual([{ text: 'Sign  up today', pages: 3 }]);
+  });
+
+  it('counts a line once per page', () => {
+    const pages = [
+      page('/', [CTA, CTA, CTA, 'One']),
+      page('/a', ['Two']),
+      page('/b', ['Three']),
+      page('/c', ['Four'])
+    ];
+
+    expect(stripBoilerplate(pages).boilerplate).toEqual([]);
+  });
+
+  it('needs the line on minShare of the pages, and at least minPages', () => {
+    const pages = [
+      page('/', [CTA, 'One']),
+      page('/a', [CTA, 'Two']),
+      page('/b', [CTA, 'Three']),
+      page('/c', ['Four']),
+      page('/d', ['Five']),
+      page('/e', ['Six']),
+      page('/f', ['Seven'])
+    ];
+
+    expect(stripBoilerplate(pages).boilerplate).toEqual([]);
+    expect(stripBoilerplate(pages, { minShare: 0.4 }).boilerplate).toEqual([{ text: CTA, pages: 3 }]);
+    expect(stripBoilerplate(pages, { minPages: 4, minShare: 0.1 }).boilerplate).toEqual([]);
+  });
+
+  it('leaves sites with fewer than minPages pages untouched', () => {
+    const pages = [page('/', [CTA, 'One']), page('/a', [CTA, 'Two'])];
+
+    const result = stripBoilerplate(pages);
+
+    expect(result.pages).toBe(pages);
+    expect(result.boilerplate).toEqual([]);
+  });
+});
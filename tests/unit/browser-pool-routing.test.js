@@ -0,0 +1,136 @@
+const http = require('http');
+
+process.env.OPENAI_API_KEY ??= 'test';
+process.env.API_KEY ??= 'test';
+process.env.DATABASE_URL ??= 'postgres://localhost/test';
+process.env.REDIS_URL ??= 'redis://localhost';
+process.env.LOG_LEVEL = 'silent';
+
+const config = require('../../src/config/environment');
+const browserPool = require('../../src/services/browser-pool.service');
+
+// A public address the test never reaches: the proxy answers for it
+const PAGE_URL = 'http://93.184.216.34/';
+
+/**
+ * HTTP proxy that answers every tunnelled or forwarded request itself
+ * @returns {Promise<Object>} - { server, tunnels, url, requests } with one { target, auth } per request
+ */
+async function startProxy() {
+  const requests = [];
+  const tunnels = [];
+  const origin = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'text/html', 'set-cookie': ['a=1', 'b=2'] });
+    res.end('<title>Proxied</title>');
+  });
+
+  const server = http.createServer((req, res) => {
+    requests.push({ target: req.url, auth: req.headers['proxy-authorization'] || null });
+    origin.emit('request', req, res);
+  });
+  server.on('connect', (req, socket) => {
+    requests.push({ target: req.url, auth: req.headers['proxy-authorization'] || null });
+    tunnels.push(socket);
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    origin.emit('connection', socket);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, tunnels, url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * Playwright route for a top-level GET navigation
+ * @param {string} url - Request URL
+ */
+function navigationRoute(url) {
+  const route = {
+    fulfilled: null,
+    continued: false,
+    aborted: null,
+    request: () => ({
+      url: () => url,
+      method: () => 'GET',
+      isNavigationRequest: () => true,
+      resourceType: () => 'document',
+      allHeaders: async () => ({ 'accept-language': 'de-DE,de;q=0.9' }),
+      postDataBuffer: () => null
+    }),
+    fulfill: async response => { route.fulfilled = response; },
+    continue: async () => { route.continued = true; },
+    abort: async reason => { route.aborted = reason; }
+  };
+  return route;
+}
+
+/**
+ * Pool slot whose browser records the options and route handler of its contexts
+ * @param {string|null} endpoint - Remote endpoint, or null for a local browser
+ */
+function fakeSlot(endpoint = null) {
+  const slot = { endpoint, contexts: 0, contextOptions: null, handler: null };
+  slot.browser = {
+    newContext: async options => {
+      slot.contextOptions = options;
+      return { route: async (pattern, handler) => { slot.handler = handler; } };
+    }
+  };
+  return slot;
+}
+
+describe('BrowserPool navigation fetches', () => {
+  let proxy;
+
+  beforeEach(async () => {
+    proxy = await startProxy();
+  });
+
+  afterEach(async () => {
+    proxy.tunnels.forEach(socket => socket.destroy());
+    proxy.server.closeAllConnections();
+    await new Promise(resolve => proxy.server.close(resolve));
+  });
+
+  it('sends a fulfilled navigation through the given proxy', async () => {
+    const route = navigationRoute(PAGE_URL);
+
+    await browserPool.fulfillNavigation(route, route.request(), {
+      server: proxy.url,
+      username: 'scraper',
+      password: 'secret'
+    });
+
+    expect(proxy.requests).toEqual([{
+      target: expect.stringContaining('93.184.216.34'),
+      auth: `Basic ${Buffer.from('scraper:secret').toString('base64')}`
+    }]);
+    expect(route.fulfilled.status).toBe(200);
+    expect(route.fulfilled.headers['set-cookie']).toBe('a=1\nb=2');
+    expect(route.fulfilled.body.toString()).toBe('<title>Proxied</title>');
+  });
+
+  it('fetches the document of a locale render through the locale proxy', async () => {
+    config.scraping.locales.proxies['de-DE'] = proxy.url;
+    const slot = fakeSlot();
+    await browserPool.getContext(slot, { locale: 'de-DE' });
+
+    const route = navigationRoute(PAGE_URL);
+    await slot.handler(route);
+    delete config.scraping.locales.proxies['de-DE'];
+
+    expect(slot.contextOptions.proxy).toEqual({ server: proxy.url });
+    expect(proxy.requests).toHaveLength(1);
+    expect(route.fulfilled.body.toString()).toBe('<title>Proxied</title>');
+  });
+
+  it('leaves navigations of remote browsers to the browser', async () => {
+    const slot = fakeSlot('ws://browsers.example:3000/');
+    await browserPool.getContext(slot);
+
+    const route = navigationRoute(PAGE_URL);
+    await slot.handler(route);
+
+    expect(route.continued).toBe(true);
+    expect(route.fulfilled).toBeNull();
+  });
+});
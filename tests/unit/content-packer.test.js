@@ -0,0 +1,129 @@
+const { budgetForModel, packNotes, packPages } = require('../../src/utils/content-packer');
+
+/**
+ * Page with the given number of 100-token paragraphs
+ * @param {string} url - Page URL
+ * @param {number} paragraphs - Paragraph count
+ */
+function page(url, paragraphs) {
+  const content = Array.from({ length: paragraphs }, (_, i) => `${i}`.padEnd(400, '.')).join('\n');
+  return { url, title: 'Page', content };
+}
+
+/**
+ * Number of paragraphs a packed page kept
+ * @param {Object} packed - Packed page
+ */
+function paragraphCount(packed) {
+  return packed.content ? packed.content.split('\n').length : 0;
+}
+
+/**
+ * Note of the given size about a page
+ * @param {string} url - Page URL
+ * @param {number} chars - Length of the note text
+ */
+function note(url, chars = 400) {
+  return { source_url: url, summary: 'x'.repeat(chars) };
+}
+
+describe('budgetForModel', () => {
+  it('matches dated model snapshots by prefix', () => {
+    expect(budgetForModel('gpt-4o-2024-08-06')).toBe(24000);
+    expect(budgetForModel('gpt-4-0613')).toBe(5000);
+  });
+
+  it('falls back to the default for unknown models and lets an override win', () => {
+    expect(budgetForModel('some-local-model')).toBe(8000);
+    expect(budgetForModel(undefined)).toBe(8000);
+    expect(budgetForModel('gpt-4o', 1234)).toBe(1234);
+  });
+});
+
+describe('packPages', () => {
+  it('keeps every page whole when it fits, highest priority first', () => {
+    const pages = [page('https://example.com/blog/a', 2), page('https://example.com/', 2), page('https://example.com/pricing', 2)];
+
+    const { pages: packed, report } = packPages(pages, { budget: 10000 });
+
+    expect(packed.map(p => p.url)).toEqual([
+      'https://example.com/',
+      'https://example.com/pricing',
+      'https://example.com/blog/a'
+    ]);
+    expect(packed.map(p => p.content)).toEqual([pages[1].content, pages[2].content, pages[0].content]);
+    expect(report.truncated).toEqual([]);
+    expect(report.omitted).toEqual([]);
+    expect(report.used_tokens).toBeLessThanOrEqual(report.budget_tokens);
+  });
+
+  it('gives every page its leading paragraphs before any page gets more', () => {
+    const pages = [page('https://example.com/blog/a', 5), page('https://example.com/', 5)];
+
+    const { pages: packed, report } = packPages(pages, { budget: 600 });
+    const [home, blog] = packed;
+
+    expect(paragraphCount(blog)).toBe(2);
+    expect(paragraphCount(home)).toBe(3);
+    expect(home.content).toBe(pages[1].content.split('\n').slice(0, 3).join('\n'));
+    expect(report.truncated).toEqual([
+      { url: 'https://example.com/', kept_tokens: 303, dropped_tokens: 202, dropped_paragraphs: 2 },
+      { url: 'https://example.com/blog/a', kept_tokens: 202, dropped_tokens: 303, dropped_paragraphs: 3 }
+    ]);
+    expect(report.used_tokens).toBeLessThanOrEqual(600);
+  });
+
+  it('breaks paragraphs too long for one chunk at sentences', () => {
+    const sentence = 'word '.repeat(99) + 'end.';
+    const { pages: packed } = packPages(
+      [{ url: 'https://example.com/', title: 'Home', content: Array(5).fill(sentence).join(' ') }],
+      { budget: 10000 }
+    );
+
+    expect(paragraphCount(packed[0])).toBe(2);
+    expect(packed[0].content.split('\n').every(chunk => chunk.endsWith('end.'))).toBe(true);
+  });
+
+  it('leaves out the lowest-priority pages once their header no longer fits', () => {
+    const pages = [page('https://example.com/careers', 1), page('https://example.com/', 1)];
+
+    const { pages: packed, report } = packPages(pages, { budget: 120 });
+
+    expect(packed.map(p => p.url)).toEqual(['https://example.com/']);
+    expect(report.included_pages).toBe(1);
+    expect(report.omitted).toEqual([{ url: 'https://example.com/careers', tokens: 101 }]);
+  });
+});
+
+describe('packNotes', () => {
+  it('keeps every note that fits, in the original order', () => {
+    const notes = [note('https://example.com/blog/a'), note('https://example.com/'), note('https://example.com/about')];
+
+    const { notes: packed, report } = packNotes(notes, { budget: 10000 });
+
+    expect(packed).toEqual(notes);
+    expect(report.omitted).toEqual([]);
+    expect(report.included_notes).toBe(3);
+  });
+
+  it('leaves out notes of the lowest-priority pages first and reports them', () => {
+    const notes = [
+      note('https://example.com/blog/a', 2000),
+      note('https://example.com/', 2000),
+      note('https://example.com/pricing', 2000)
+    ];
+
+    const { notes: packed, report } = packNotes(notes, { budget: 1100 });
+
+    expect(packed.map(n => n.source_url)).toEqual(['https://example.com/', 'https://example.com/pricing']);
+    expect(report.omitted).toEqual([{ url: 'https://example.com/blog/a', tokens: expect.any(Number) }]);
+    expect(report.used_tokens).toBeLessThanOrEqual(1100);
+  });
+
+  it('never cuts a note', () => {
+    const { notes: packed, report } = packNotes([note('https://example.com/', 8000)], { budget: 1000 });
+
+    expect(packed).toEqual([]);
+    expect(report.omitted).toHaveLength(1);
+  });
+});
@@ -0,0 +1,81 @@
+const { globToRegExp, normalizePageUrl } = require('../../src/utils/helpers');
+
+describe('normalizePageUrl', () => {
+  it('drops the fragment and tracking parameters', () => {
+    expect(normalizePageUrl('https://example.com/pricing?utm_source=x&gclid=1&fbclid=2#plans'))
+      .toBe('https://example.com/pricing');
+  });
+
+  it('keeps other parameters, sorted', () => {
+    expect(normalizePageUrl('https://example.com/search?q=shoes&page=2&utm_medium=ad'))
+      .toBe('https://example.com/search?page=2&q=shoes');
+  });
+
+  it('lowercases the host but not the path', () => {
+    expect(normalizePageUrl('https://Example.COM/About-Us')).toBe('https://example.com/About-Us');
+  });
+
+  it('strips trailing slashes except from the root path', () => {
+    expect(normalizePageUrl('https://example.com/blog//')).toBe('https://example.com/blog');
+    expect(normalizePageUrl('https://example.com')).toBe('https://example.com/');
+    expect(normalizePageUrl('https://example.com/')).toBe('https://example.com/');
+  });
+
+  it('maps variants of the same page to one key', () => {
+    const variants = [
+      'https://example.com/about',
+      'https://EXAMPLE.com/about/',
+      'https://example.com/about#team',
+      'https://example.com/about?ref=nav'
+    ];
+
+    expect(new Set(variants.map(normalizePageUrl)).size).toBe(1);
+  });
+
+  it('returns null for invalid URLs', () => {
+    expect(normalizePageUrl('not a url')).toBeNull();
+    expect(normalizePageUrl('')).toBeNull();
+  });
+});
+
+describe('globToRegExp', () => {
+  it('matches * within one path segment', () => {
+    const pattern = globToRegExp('/products/*');
+
+    expect(pattern.test('/products/widget')).toBe(true);
+    expect(pattern.test('/products/')).toBe(true);
+    expect(pattern.test('/products/widget/specs')).toBe(false);
+  });
+
+  it('matches ** across path segments', () => {
+    const pattern = globToRegExp('/blog/**');
+
+    expect(pattern.test('/blog/2024/launch')).toBe(true);
+    expect(pattern.test('/blog/')).toBe(true);
+    expect(pattern.test('/blogs/a')).toBe(false);
+  });
+
+  it('matches ? as one character other than /', () => {
+    const pattern = globToRegExp('/v?/docs');
+
+    expect(pattern.test('/v2/docs')).toBe(true);
+    expect(pattern.test('/v10/docs')).toBe(false);
+    expect(pattern.test('/v//docs')).toBe(false);
+  });
+
+  it('anchors the whole path and ignores case', () => {
+    const pattern = globToRegExp('/about');
+
+    expect(pattern.test('/About')).toBe(true);
+    expect(pattern.test('/about/team')).toBe(false);
+    expect(pattern.test('/en/about')).toBe(false);
+  });
+
+  it('treats regular expression characters literally', () => {
+    const pattern = globToRegExp('/files/report.(final)+v1.pdf');
+
+    expect(pattern.test('/files/report.(final)+v1.pdf')).toBe(true);
+    expect(pattern.test('/files/reportX(final)+v1.pdf')).toBe(false);
+    expect(pattern.test('/files/report.finalv1.pdf')).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+const { shingle, signature, estimateSimilarity, bandsForThreshold, MinHashIndex } = require('../../src/utils/minhash');
+
+/**
+ * Text of distinct words, so every shingle is distinct too
+ * @param {number} count - Number of words
+ * @param {string} prefix - Word prefix, different per unrelated text
+ */
+function words(count, prefix = 'word') {
+  return Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+}
+
+/**
+ * Signature of a list of words
+ * @param {Array<string>} list - Words
+ */
+function sig(list) {
+  return signature(shingle(list.join(' ')));
+}
+
+describe('signature', () => {
+  it('gives identical texts identical signatures', () => {
+    const text = words(200);
+    expect(estimateSimilarity(sig(text), sig(text))).toBe(1);
+  });
+
+  it('ignores case and whitespace', () => {
+    expect(sig(['Pricing', 'plans', 'for', 'teams'])).toEqual(signature(shingle('pricing  plans\nfor TEAMS')));
+  });
+
+  it('rates unrelated texts as dissimilar', () => {
+    expect(estimateSimilarity(sig(words(200, 'a')), sig(words(200, 'b')))).toBeLessThan(0.1);
+  });
+});
+
+describe('MinHashIndex', () => {
+  it('finds a near-duplicate with one word changed', () => {
+    const original = words(300);
+    const edited = [...original];
+    edited[150] = 'changed';
+
+    const index = new MinHashIndex({ threshold: 0.8 });
+    index.add('original', sig(original));
+
+    expect(index.findSimilar(sig(edited), 0.8)).toEqual({ id: 'original', similarity: expect.any(Number) });
+  });
+
+  it('does not match distinct pages', () => {
+    const index = new MinHashIndex({ threshold: 0.8 });
+    index.add('a', sig(words(300, 'a')));
+
+    expect(index.findSimilar(sig(words(300, 'b')), 0.8)).toBeNull();
+  });
+
+  it('matches at exactly the threshold and not above it', () => {
+    const a = sig(words(300));
+    const b = sig([...words(200), ...words(100, 'other')]);
+    const similarity = estimateSimilarity(a, b);
+
+    const index = new MinHashIndex({ threshold: similarity });
+    index.add('a', a);
+
+    expect(index.findSimilar(b, similarity)).toEqual({ id: 'a', similarity });
+    expect(index.findSimilar(b, similarity + 0.01)).toBeNull();
+  });
+
+  it('returns the most similar of several candidates', () => {
+    const base = words(300);
+    const close = [...base];
+    close[10] = 'x';
+    const closer = [...base];
+
+    const index = new MinHashIndex({ threshold: 0.5 });
+    index.add('close', sig(close));
+    index.add('closer', sig(closer));
+
+    expect(index.findSimilar(sig(base), 0.5).id).toBe('closer');
+  });
+
+  it('rejects a band count that does not divide the signature', () => {
+    expect(() => new MinHashIndex({ numHashes: 128, bands: 30 })).toThrow(RangeError);
+  });
+
+  it('rejects thresholds outside (0, 1]', () => {
+    expect(() => new MinHashIndex({ threshold: 0 })).toThrow(RangeError);
+    expect(() => new MinHashIndex({ threshold: 1.2 })).toThrow(RangeError);
+    expect(() => new MinHashIndex({ threshold: NaN })).toThrow(RangeError);
+  });
+});
+
+describe('bandsForThreshold', () => {
+  it('uses fewer, longer bands for higher thresholds', () => {
+    expect(bandsForThreshold(0.5)).toBe(64);
+    expect(bandsForThreshold(0.8)).toBe(32);
+    expect(bandsForThreshold(0.95)).toBe(8);
+    expect(bandsForThreshold(1)).toBe(1);
+  });
+
+  it('always divides the signature length', () => {
+    for (const threshold of [0.05, 0.3, 0.7, 0.9, 0.99]) {
+      expect(96 % bandsForThreshold(threshold, 96)).toBe(0);
+    }
+  });
+});
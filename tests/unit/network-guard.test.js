@@ -0,0 +1,196 @@
+const dns = require('dns');
+const http = require('http');
+
+process.env.OPENAI_API_KEY ??= 'test';
+process.env.API_KEY ??= 'test';
+process.env.DATABASE_URL ??= 'postgres://localhost/test';
+process.env.REDIS_URL ??= 'redis://localhost';
+process.env.LOG_LEVEL = 'silent';
+
+const config = require('../../src/config/environment');
+const { UnsafeUrlError } = require('../../src/utils/errors');
+const { isPrivateAddress, assertPublicUrl, isPublicUrl, safeFetch } = require('../../src/utils/network-guard');
+
+const PUBLIC_ADDRESS = '93.184.216.34';
+const { allowPrivateNetworks } = config.security;
+
+/**
+ * Make hostnames resolve to the given addresses, for assertPublicUrl and for connections
+ * @param {Object} hosts - hostname => addresses
+ * @param {Object} connectHosts - hostname => addresses seen when connecting (defaults to hosts)
+ */
+function resolveTo(hosts, connectHosts = hosts) {
+  const records = (table, hostname) => (table[hostname] || []).map(address => ({
+    address,
+    family: address.includes(':') ? 6 : 4
+  }));
+
+  jest.spyOn(dns.promises, 'lookup').mockImplementation(async hostname => records(hosts, hostname));
+  jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    callback(null, records(connectHosts, hostname));
+  });
+}
+
+describe('isPrivateAddress', () => {
+  it.each([
+    ['127.0.0.1'],
+    ['10.1.2.3'],
+    ['172.16.0.1'],
+    ['192.168.1.1'],
+    ['100.64.0.1'],
+    ['0.0.0.0'],
+    ['169.254.169.254'],
+    ['224.0.0.1'],
+    ['255.255.255.255']
+  ])('blocks IPv4 %s', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  // IPv4-mapped and transition forms can carry private IPv4 addresses
+  it.each([
+    ['::'],
+    ['::1'],
+    ['fe80::1'],
+    ['fd00::1'],
+    ['ff02::1'],
+    ['::ffff:127.0.0.1'],
+    ['::ffff:169.254.169.254'],
+    ['::ffff:a9fe:a9fe'],
+    ['::127.0.0.1'],
+    ['64:ff9b::a9fe:a9fe'],
+    ['2002:a9fe:a9fe::1'],
+    ['2001:0:4136:e378:8000:63bf:3fff:fdd2']
+  ])('blocks IPv6 %s', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    [PUBLIC_ADDRESS],
+    ['8.8.8.8'],
+    ['172.32.0.1'],
+    ['::ffff:93.184.216.34'],
+    ['2606:2800:220:1:248:1893:25c8:1946']
+  ])('allows public address %s', address => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  it('treats anything that is not an IP address as private', () => {
+    expect(isPrivateAddress('example.com')).toBe(true);
+    expect(isPrivateAddress('')).toBe(true);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  beforeEach(() => {
+    config.security.allowPrivateNetworks = false;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.security.allowPrivateNetworks = allowPrivateNetworks;
+  });
+
+  it('allows public IP literals without resolving them', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+
+    await expect(assertPublicUrl(`https://${PUBLIC_ADDRESS}/about`)).resolves.toBeUndefined();
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['http://127.0.0.1/'],
+    ['http://0.0.0.0:8080/'],
+    ['http://169.254.169.254/latest/meta-data/'],
+    ['http://[::1]/'],
+    ['http://[::]/'],
+    ['http://[::ffff:169.254.169.254]/'],
+    ['http://2130706433/'],
+    ['http://0x7f.1/']
+  ])('rejects %s', async url => {
+    await expect(assertPublicUrl(url)).rejects.toThrow('URL resolves to a non-public address');
+  });
+
+  it.each([
+    ['http://localhost:3000/'],
+    ['http://metadata.google.internal/computeMetadata/v1/'],
+    ['http://printer.local/']
+  ])('rejects internal hostname %s', async url => {
+    await expect(assertPublicUrl(url)).rejects.toThrow('URL host is not public');
+  });
+
+  it('rejects schemes other than http and https', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow(UnsafeUrlError);
+    await expect(assertPublicUrl('ftp://example.com/')).rejects.toThrow('Only HTTP and HTTPS URLs are allowed');
+  });
+
+  it('rejects a hostname with any private address among its records', async () => {
+    resolveTo({ 'mixed.example': [PUBLIC_ADDRESS, '10.0.0.5'] });
+
+    await expect(assertPublicUrl('https://mixed.example/')).rejects.toMatchObject({
+      details: { host: 'mixed.example', address: '10.0.0.5' }
+    });
+  });
+
+  it('rejects hostnames that do not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    await expect(assertPublicUrl('https://missing.example/')).rejects.toThrow('URL host could not be resolved');
+    expect(await isPublicUrl('https://missing.example/')).toBe(false);
+  });
+
+  it('allows everything when private networks are allowed', async () => {
+    config.security.allowPrivateNetworks = true;
+
+    expect(await isPublicUrl('http://127.0.0.1/')).toBe(true);
+  });
+});
+
+describe('safeFetch', () => {
+  let proxy;
+
+  beforeEach(() => {
+    config.security.allowPrivateNetworks = false;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    config.security.allowPrivateNetworks = allowPrivateNetworks;
+    if (proxy) {
+      proxy.tunnels.forEach(socket => socket.destroy());
+      proxy.server.closeAllConnections();
+      await new Promise(resolve => proxy.server.close(resolve));
+      proxy = null;
+    }
+  });
+
+  it('refuses to connect when the name resolves to a private address at connect time', async () => {
+    // Public when checked, loopback a moment later (DNS rebinding)
+    resolveTo({ 'rebind.example': [PUBLIC_ADDRESS] }, { 'rebind.example': ['127.0.0.1'] });
+
+    await expect(safeFetch('http://rebind.example/')).rejects.toThrow(UnsafeUrlError);
+    expect(dns.lookup).toHaveBeenCalledWith('rebind.example', expect.any(Object), expect.any(Function));
+  });
+
+  it('checks each redirect before following it', async () => {
+    const requests = [];
+    const tunnels = [];
+    const origin = http.createServer((req, res) => {
+      res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    });
+    const server = http.createServer();
+    server.on('connect', (req, socket) => {
+      requests.push(req.url);
+      tunnels.push(socket);
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      origin.emit('connection', socket);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    proxy = { server, tunnels };
+
+    await expect(safeFetch(`http://${PUBLIC_ADDRESS}/`, {
+      proxy: { server: `http://127.0.0.1:${server.address().port}` }
+    })).rejects.toMatchObject({ details: { url: 'http://169.254.169.254/latest/meta-data/' } });
+    expect(requests).toEqual([`${PUBLIC_ADDRESS}:80`]);
+  });
+});
@@ -0,0 +1,87 @@
+const { classifyPage } = require('../../src/utils/page-classifier');
+const { detectChallengeMarkers } = require('../../src/utils/page-extractors');
+
+/**
+ * Minimal document holding one element per selector
+ * @param {Object} elements - Selector to { inForm } for each element present
+ */
+function fakeDocument(elements) {
+  const found = selector => (elements[selector] ? [{ closest: () => (elements[selector].inForm ? {} : null) }] : []);
+  return {
+    querySelector: selector => found(selector)[0] || null,
+    querySelectorAll: found
+  };
+}
+
+const paragraph = 'We usually answer within one business day. Tell us about your team and what you are looking for. ';
+
+describe('classifyPage', () => {
+  it('keeps a short page with the reCAPTCHA footer', () => {
+    const page = {
+      url: 'https://example.com/contact',
+      title: 'Contact us',
+      content: `${paragraph.repeat(5)}This site is protected by reCAPTCHA and the Google Privacy Policy and Terms of Service apply.`,
+      httpStatus: 200
+    };
+
+    expect(classifyPage(page).status).toBe('ok');
+  });
+
+  it('keeps a login page that mentions access being denied', () => {
+    const page = {
+      url: 'https://example.com/login',
+      title: 'Log in',
+      content: `${paragraph}Access denied? Reset your password.`,
+      httpStatus: 200
+    };
+
+    expect(classifyPage(page).status).toBe('ok');
+  });
+
+  it('keeps a long article about captchas', () => {
+    const page = {
+      url: 'https://example.com/blog/captcha',
+      title: 'How CAPTCHA works',
+      content: paragraph.repeat(40),
+      httpStatus: 200
+    };
+
+    expect(classifyPage(page).status).toBe('ok');
+  });
+
+  it('flags challenge interstitials by title and phrase', () => {
+    expect(classifyPage({
+      url: 'https://example.com/',
+      title: 'Just a moment...',
+      content: 'Checking if the site connection is secure',
+      httpStatus: 200
+    })).toEqual({ status: 'blocked', statusReason: 'text' });
+
+    expect(classifyPage({
+      url: 'https://example.com/',
+      title: 'example.com',
+      content: 'Please verify you are a human. Press & Hold',
+      httpStatus: 200
+    })).toEqual({ status: 'captcha', statusReason: 'text' });
+  });
+
+  it('flags a captcha widget outside a form on a page with no content', () => {
+    const document = fakeDocument({ '.g-recaptcha': { inForm: false } });
+    const page = {
+      url: 'https://example.com/',
+      title: 'example.com',
+      content: 'One more step',
+      challengeMarkers: detectChallengeMarkers(document)
+    };
+
+    expect(classifyPage(page)).toEqual({ status: 'captcha', statusReason: '.g-recaptcha' });
+  });
+});
+
+describe('detectChallengeMarkers', () => {
+  it('ignores captcha widgets inside forms', () => {
+    const document = fakeDocument({ '.g-recaptcha': { inForm: true } });
+
+    expect(detectChallengeMarkers(document)).toEqual({ captcha: [], challenge: [] });
+  });
+});
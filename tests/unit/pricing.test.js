@@ -0,0 +1,68 @@
+const { parsePrice, parsePricing } = require('../../src/utils/pricing');
+
+describe('parsePrice', () => {
+  it('takes the amount next to the currency, not an earlier bare number', () => {
+    expect(parsePrice('Up to 5 users $10/month')).toEqual({ price: 10, currency: 'USD', period: 'month' });
+    expect(parsePrice('2 seats for $49')).toEqual({ price: 49, currency: 'USD', period: null });
+  });
+
+  it('prefers a leading currency over a trailing one', () => {
+    expect(parsePrice('5 $10')).toMatchObject({ price: 10, currency: 'USD' });
+  });
+
+  it('reads trailing symbols and codes', () => {
+    expect(parsePrice('12,99 € pro Monat')).toEqual({ price: 12.99, currency: 'EUR', period: 'month' });
+    expect(parsePrice('49 USD per year')).toEqual({ price: 49, currency: 'USD', period: 'year' });
+  });
+
+  it('reads leading codes and thousands separators', () => {
+    expect(parsePrice('GBP 1,299.00 annually')).toEqual({ price: 1299, currency: 'GBP', period: 'year' });
+  });
+
+  it('takes the billing period from the context when the price text has none', () => {
+    expect(parsePrice('$20', 'billed monthly')).toMatchObject({ price: 20, period: 'month' });
+  });
+
+  it('ignores numbers without a currency', () => {
+    expect(parsePrice('Up to 5 users')).toEqual({ price: null, currency: null, period: null });
+    expect(parsePrice('10 projects, 3 seats')).toEqual({ price: null, currency: null, period: null });
+  });
+
+  it('reads free plans', () => {
+    expect(parsePrice('Free')).toEqual({ price: 0, currency: null, period: null });
+  });
+});
+
+describe('parsePricing', () => {
+  it('parses cards whose price text starts with a seat count', () => {
+    const plans = parsePricing({
+      cards: [{
+        name: 'Team',
+        priceText: 'Up to 5 users $10/month',
+        text: 'Team Up to 5 users $10/month Shared inbox',
+        features: ['Shared inbox']
+      }],
+      tables: []
+    });
+
+    expect(plans).toEqual([
+      { plan: 'Team', price: 10, currency: 'USD', period: 'month', features: ['Shared inbox'] }
+    ]);
+  });
+
+  it('reads prices from comparison tables', () => {
+    const plans = parsePricing({
+      cards: [],
+      tables: [[
+        ['', 'Basic', 'Pro'],
+        ['Price per month', '2 seats for $49', '€99'],
+        ['API access', '—', '✓']
+      ]]
+    });
+
+    expect(plans).toEqual([
+      { plan: 'Basic', price: 49, currency: 'USD', period: 'month', features: [] },
+      { plan: 'Pro', price: 99, currency: 'EUR', period: 'month', features: ['API access'] }
+    ]);
+  });
+});
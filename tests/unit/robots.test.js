@@ -0,0 +1,156 @@
+process.env.OPENAI_API_KEY ??= 'test';
+process.env.API_KEY ??= 'test';
+process.env.DATABASE_URL ??= 'postgres://localhost/test';
+process.env.REDIS_URL ??= 'redis://localhost';
+process.env.LOG_LEVEL = 'silent';
+
+const config = require('../../src/config/environment');
+const robotsService = require('../../src/services/robots.service');
+
+const ORIGIN = 'https://example.com';
+const { userAgent } = config.scraping.robots;
+const { respectRobots } = config.scraping.politeness;
+
+const ROBOTS_TXT = `
+# Everyone
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: OtherBot
+User-agent: BrandIntelligenceBot
+Disallow: /search
+Allow: /search/brands
+Crawl-delay: 5
+
+Sitemap: /sitemap.xml
+Sitemap: https://cdn.example.com/sitemap-blog.xml
+Sitemap: /sitemap.xml
+`;
+
+/**
+ * Serve a robots.txt for ORIGIN from the service cache, so nothing is fetched
+ * @param {string} text - robots.txt body
+ */
+function useRobots(text) {
+  robotsService.cache.set(ORIGIN, {
+    robots: { found: true, ...robotsService.parse(text, ORIGIN) },
+    expiresAt: Infinity
+  });
+}
+
+describe('RobotsService', () => {
+  beforeEach(() => {
+    config.scraping.politeness.respectRobots = true;
+  });
+
+  afterEach(() => {
+    robotsService.cache.clear();
+    config.scraping.robots.userAgent = userAgent;
+    config.scraping.politeness.respectRobots = respectRobots;
+  });
+
+  describe('parse', () => {
+    it('groups consecutive user agents and resolves sitemaps once each', () => {
+      const robots = robotsService.parse(ROBOTS_TXT, ORIGIN);
+
+      expect(robots.sitemaps).toEqual([
+        'https://example.com/sitemap.xml',
+        'https://cdn.example.com/sitemap-blog.xml'
+      ]);
+      expect(robots.groups).toHaveLength(2);
+      expect(robots.groups[1]).toEqual({
+        agents: ['otherbot', 'brandintelligencebot'],
+        rules: [
+          { type: 'disallow', path: '/search' },
+          { type: 'allow', path: '/search/brands' }
+        ],
+        crawlDelay: 5
+      });
+    });
+
+    it('ignores rules before any user agent and invalid crawl delays', () => {
+      const robots = robotsService.parse('Disallow: /\nUser-agent: *\nCrawl-delay: soon\nDisallow: /tmp', ORIGIN);
+
+      expect(robots.groups).toEqual([
+        { agents: ['*'], rules: [{ type: 'disallow', path: '/tmp' }], crawlDelay: null }
+      ]);
+    });
+  });
+
+  describe('isAllowed', () => {
+    beforeEach(() => {
+      config.scraping.robots.userAgent = 'BrandIntelligenceBot';
+    });
+
+    it('applies the group naming our user agent instead of *', async () => {
+      useRobots(ROBOTS_TXT);
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/search?q=shoes`)).toEqual({ allowed: false, rule: 'Disallow: /search' });
+      expect(await robotsService.isAllowed(`${ORIGIN}/private`)).toEqual({ allowed: true, rule: null });
+    });
+
+    it('falls back to * for other user agents', async () => {
+      config.scraping.robots.userAgent = 'SomeCrawler';
+      useRobots(ROBOTS_TXT);
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/private/team`)).toEqual({ allowed: false, rule: 'Disallow: /private' });
+      expect(await robotsService.isAllowed(`${ORIGIN}/search`)).toEqual({ allowed: true, rule: null });
+    });
+
+    it('lets the longest matching rule win', async () => {
+      useRobots(ROBOTS_TXT);
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/search/brands/acme`)).toEqual({ allowed: true, rule: 'Allow: /search/brands' });
+    });
+
+    it('lets Allow win a tie', async () => {
+      useRobots('User-agent: *\nDisallow: /shop\nAllow: /shop');
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/shop/item`)).toEqual({ allowed: true, rule: 'Allow: /shop' });
+    });
+
+    it('supports * wildcards and $ anchors', async () => {
+      config.scraping.robots.userAgent = 'SomeCrawler';
+      useRobots(ROBOTS_TXT);
+
+      expect((await robotsService.isAllowed(`${ORIGIN}/docs/guide.pdf`)).allowed).toBe(false);
+      expect((await robotsService.isAllowed(`${ORIGIN}/docs/guide.pdf?download=1`)).allowed).toBe(true);
+    });
+
+    it('treats an empty Disallow as allowing everything', async () => {
+      useRobots('User-agent: *\nDisallow:');
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/anything`)).toEqual({ allowed: true, rule: null });
+    });
+
+    it('allows everything when robots.txt is not respected', async () => {
+      config.scraping.politeness.respectRobots = false;
+      useRobots('User-agent: *\nDisallow: /');
+
+      expect(await robotsService.isAllowed(`${ORIGIN}/`)).toEqual({ allowed: true, rule: null });
+    });
+  });
+
+  describe('getCrawlDelay', () => {
+    it('returns the delay of the group that applies', async () => {
+      config.scraping.robots.userAgent = 'BrandIntelligenceBot';
+      useRobots(ROBOTS_TXT);
+      expect(await robotsService.getCrawlDelay(ORIGIN)).toBe(5);
+
+      config.scraping.robots.userAgent = 'SomeCrawler';
+      expect(await robotsService.getCrawlDelay(ORIGIN)).toBe(2);
+    });
+
+    it('returns 0 without a delay or when robots.txt is not respected', async () => {
+      useRobots('User-agent: *\nDisallow: /tmp');
+      expect(await robotsService.getCrawlDelay(ORIGIN)).toBe(0);
+
+      useRobots(ROBOTS_TXT);
+      config.scraping.politeness.respectRobots = false;
+      expect(await robotsService.getCrawlDelay(ORIGIN)).toBe(0);
+    });
+  });
+});